@@ -0,0 +1,180 @@
+import { sleep, group } from "k6";
+import encoding from "k6/encoding";
+import { expect } from 'https://jslib.k6.io/k6chaijs/4.3.4.3/index.js';
+import { config } from "./lib/config.js";
+import * as restaurantApi from "./lib/clients/restaurant.js";
+import * as groupOrdersApi from "./lib/clients/groupOrders.js";
+import * as ordersApi from "./lib/clients/orders.js";
+import { createTestContext } from "./lib/testContext.js";
+import { orderTotal } from "./lib/orderGenerator.js";
+import { buildPayment } from "./lib/payments.js";
+import { login, decodeToken, createSession } from "./lib/userPool.js";
+import { createSummaryHandler } from "./lib/summary.js";
+import { startRun } from "./lib/testData.js";
+import { TEST_ORDER_DETAILS, testOrderPayload, payTestOrder } from "./lib/testOrder.js";
+
+// Authentication and authorization: requests without a usable token must be
+// answered 401, requests with the wrong role 403, and a pool session whose
+// token is rejected must log in again and resend the request.
+
+// Configuration
+const RESTAURANT_ID = config.restaurantId;
+const STAFF_ID = config.staff.userId;
+// Longest wait for a fresh token to expire, e.g. with the mock's MOCK_TOKEN_TTL=5
+const EXPIRY_WAIT = parseInt(__ENV.AUTH_EXPIRY_WAIT || "30", 10);
+
+export const options = {
+  scenarios: {
+    auth_test: {
+      executor: "shared-iterations",
+      vus: 1,
+      iterations: 1,
+      maxDuration: "10m",
+    },
+  },
+  thresholds: {
+    checks: ["rate>=1"],
+  },
+};
+
+export function setup() {
+  return {
+    customerToken: login(config.customer),
+    staffToken: login(config.staff),
+    run: startRun("functional_auth"),
+  };
+}
+
+// Same claims with a changed role, signed with the original signature
+function tamper(token) {
+  const [header, , signature] = token.split(".");
+  const claims = { ...decodeToken(token), role: "ADMIN" };
+  return `${header}.${encoding.b64encode(JSON.stringify(claims), "rawurl")}.${signature}`;
+}
+
+// A token the backend issued that has expired: EXPIRED_TOKEN, or a fresh one
+// waited out when it expires within EXPIRY_WAIT seconds. Null when neither works.
+function expiredToken() {
+  if (__ENV.EXPIRED_TOKEN) return __ENV.EXPIRED_TOKEN;
+
+  const token = login(config.customer);
+  const { exp } = decodeToken(token);
+  const wait = exp ? exp - Date.now() / 1000 + 1 : Infinity;
+  if (wait > EXPIRY_WAIT) return null;
+
+  sleep(Math.max(wait, 0));
+  return token;
+}
+
+// Any authenticated route does; the restaurant list needs no other data
+function getRestaurants(token, headers, label) {
+  return restaurantApi.getRestaurants(token, { headers, label, expectedStatus: 401 }).response;
+}
+
+export default function (data) {
+  const { customerToken, staffToken } = data;
+
+  const ctx = createTestContext();
+
+  group("Missing and Malformed Tokens", () => {
+    ctx.test("Request without Authorization header", () => {
+      const response = getRestaurants(null, {}, "No Authorization");
+      expect(response.status, "Missing token rejected").to.equal(401);
+    });
+
+    const malformed = {
+      "Bearer without token": "Bearer",
+      "Basic credentials": `Basic ${encoding.b64encode(`${config.customer.email}:${config.customer.password}`)}`,
+      "Token that is no JWT": "Bearer not-a-jwt",
+      "Wrong scheme": `Token ${customerToken}`,
+      "Tampered claims": `Bearer ${tamper(customerToken)}`,
+    };
+    Object.keys(malformed).forEach((name) => {
+      ctx.test(name, () => {
+        const response = getRestaurants(null, { Authorization: malformed[name] }, name);
+        expect(response.status, `${name} rejected`).to.equal(401);
+      });
+    });
+  });
+
+  group("Token Expiry", () => {
+    const expired = expiredToken();
+    if (expired) {
+      ctx.test("Expired token", () => {
+        const response = getRestaurants(expired, {}, "Expired Token");
+        expect(response.status, "Expired token rejected").to.equal(401);
+      });
+    } else {
+      ctx.skip(
+        "Expired token",
+        `no expired token: set EXPIRED_TOKEN or use tokens that expire within AUTH_EXPIRY_WAIT (${EXPIRY_WAIT}s)`
+      );
+    }
+
+    ctx.test("Rejected session token is refreshed", () => {
+      // A pool session whose token the backend no longer accepts
+      const session = createSession(config.customer);
+      const rejected = expired || tamper(customerToken);
+      session.token = rejected;
+
+      const { response } = restaurantApi.getRestaurants(session.auth);
+      expect(response.status, "Request resent with a new token").to.equal(200);
+      expect(session.token, "Session holds the new token").to.not.equal(rejected);
+    });
+  });
+
+  group("Role Checks", () => {
+    ctx.test("Customer submits an order", (state) => {
+      const payload = testOrderPayload(data.run);
+      const { response } = groupOrdersApi.createGroupOrder(customerToken, payload);
+      expect(response.status, "Order created").to.equal(200);
+
+      state.order = response.json();
+      state.totalPrice = orderTotal(TEST_ORDER_DETAILS);
+      // Only paid orders go to the restaurant
+      expect(payTestOrder(customerToken, state.order).response.status, "Order paid").to.equal(200);
+      const submitted = groupOrdersApi.submitToRestaurant(customerToken, state.order.groupFoodOrderId);
+      expect(submitted.response.status, "Order submitted").to.equal(200);
+    });
+
+    ctx.test("Customer cannot list staff orders", () => {
+      const { response } = groupOrdersApi.getOrdersForRestaurantStaff(customerToken, STAFF_ID, RESTAURANT_ID, {
+        expectedStatus: 403,
+      });
+      expect(response.status, "Staff order list forbidden").to.equal(403);
+    });
+
+    ctx.test("Customer cannot move orders through the kitchen", { dependsOn: ["Customer submits an order"] }, (state) => {
+      const { groupFoodOrderId } = state.order;
+
+      const preparing = groupOrdersApi.kitchenPreparing(customerToken, groupFoodOrderId, { expectedStatus: 403 });
+      expect(preparing.response.status, "kitchenPreparing forbidden").to.equal(403);
+      const ready = groupOrdersApi.readyForDelivery(customerToken, groupFoodOrderId, { expectedStatus: 403 });
+      expect(ready.response.status, "readyForDelivery forbidden").to.equal(403);
+
+      // The forbidden calls must not have moved the order
+      const { response } = groupOrdersApi.getOrdersForRestaurantStaff(staffToken, STAFF_ID, RESTAURANT_ID);
+      const item = response.json().find((o) => o.groupFoodOrderId === groupFoodOrderId);
+      expect(item, "Order listed for the staff").to.not.be.undefined;
+      expect(item.orderStatus, "Order still waiting for the kitchen").to.equal("SUBMITTED_TO_RESTAURANT");
+    });
+
+    ctx.test("Staff cannot create customer orders", () => {
+      const { response } = groupOrdersApi.createGroupOrder(staffToken, testOrderPayload(data.run), {
+        expectedStatus: 403,
+      });
+      expect(response.status, "Order creation forbidden").to.equal(403);
+    });
+
+    ctx.test("Staff cannot pay for orders", { dependsOn: ["Customer submits an order"] }, (state) => {
+      const payment = buildPayment(state.order.id, state.totalPrice, "payNow");
+      const { response } = ordersApi.updatePayment(staffToken, payment, { expectedStatus: 403 });
+      expect(response.status, "Payment forbidden").to.equal(403);
+    });
+  });
+}
+
+export { teardown } from "./lib/testData.js";
+
+// HTML, JSON and JUnit reports in REPORT_DIR
+export const handleSummary = createSummaryHandler("functional_auth", { junit: true });
@@ -0,0 +1,236 @@
+import { group } from "k6";
+import { expect } from 'https://jslib.k6.io/k6chaijs/4.3.4.3/index.js';
+import { config } from "./lib/config.js";
+import * as userApi from "./lib/clients/user.js";
+import * as restaurantApi from "./lib/clients/restaurant.js";
+import * as groupOrdersApi from "./lib/clients/groupOrders.js";
+import * as ordersApi from "./lib/clients/orders.js";
+import { createTestContext } from "./lib/testContext.js";
+import { orderTotal } from "./lib/orderGenerator.js";
+import { buildPayment } from "./lib/payments.js";
+import { login, staffPool } from "./lib/userPool.js";
+import { createSummaryHandler } from "./lib/summary.js";
+import { startRun } from "./lib/testData.js";
+import { TEST_ORDER_DETAILS, testOrderPayload, payTestOrder } from "./lib/testOrder.js";
+
+// Authorization matrix: every endpoint the scripts use, called as every role,
+// must answer the status config/authz_matrix.json lists for that pair
+// (AUTHZ_MATRIX_FILE to use another file). The tests are generated from the
+// table, one group per endpoint and one test per role:
+//
+//   anonymous   no token
+//   customer    the profile's customer
+//   staff       the profile's staff member, working for RESTAURANT_ID
+//   wrongStaff  a staff member of another restaurant from the staff pool,
+//               calling with the profile's staff userId and restaurantId
+//
+// A status can be a list, e.g. [200, 204].
+
+// Configuration
+const RESTAURANT_ID = config.restaurantId;
+const STAFF_ID = config.staff.userId;
+const MATRIX_PATH = __ENV.AUTHZ_MATRIX_FILE || "./config/authz_matrix.json";
+
+const ROLES = ["anonymous", "customer", "staff", "wrongStaff"];
+
+let matrix;
+try {
+  matrix = JSON.parse(open(MATRIX_PATH));
+} catch (error) {
+  throw new Error(`Cannot load authorization matrix "${MATRIX_PATH}": ${error}`);
+}
+
+export const options = {
+  scenarios: {
+    authz_test: {
+      executor: "shared-iterations",
+      vus: 1,
+      iterations: 1,
+      maxDuration: "10m",
+    },
+  },
+  thresholds: {
+    checks: ["rate>=1"],
+  },
+};
+
+// Fixtures, created as the roles allowed to create them
+function createdOrder(data) {
+  const { response } = groupOrdersApi.createGroupOrder(data.tokens.customer, testOrderPayload(data.run));
+  expect(response.status, "Order created").to.equal(200);
+  return response.json();
+}
+
+// Only paid orders go to the restaurant
+function paidOrder(data) {
+  const order = createdOrder(data);
+  expect(payTestOrder(data.tokens.customer, order).response.status, "Order paid").to.equal(200);
+  return order;
+}
+
+function submittedOrder(data) {
+  const order = paidOrder(data);
+  const { response } = groupOrdersApi.submitToRestaurant(data.tokens.customer, order.groupFoodOrderId);
+  expect(response.status, "Order submitted").to.equal(200);
+  return order;
+}
+
+function preparingOrder(data) {
+  const order = submittedOrder(data);
+  const { response } = groupOrdersApi.kitchenPreparing(data.tokens.staff, order.groupFoodOrderId);
+  expect(response.status, "Order in the kitchen").to.equal(200);
+  return order;
+}
+
+// How each endpoint is called: `prepare` builds what the calls need from the
+// setup data, `call` sends one request with a role's token
+const ENDPOINTS = {
+  // Public: a token must not stand in the way
+  login: {
+    call: (token, fixture, options) =>
+      userApi.login(config.customer.email, config.customer.password, { token, ...options }),
+  },
+  // An existing account, so the matrix never creates one
+  register: {
+    call: (token, fixture, options) => userApi.register(config.customer, "CUSTOMER", { token, ...options }),
+  },
+  getRestaurants: {
+    call: (token, fixture, options) => restaurantApi.getRestaurants(token, options),
+  },
+  createGroupOrder: {
+    prepare: (data) => ({ payload: testOrderPayload(data.run) }),
+    call: (token, fixture, options) => groupOrdersApi.createGroupOrder(token, fixture.payload, options),
+  },
+  joinGroupOrder: {
+    prepare: (data) => ({
+      payload: { ...testOrderPayload(data.run), groupFoodOrderId: createdOrder(data).groupFoodOrderId },
+    }),
+    call: (token, fixture, options) => groupOrdersApi.joinGroupOrder(token, fixture.payload, options),
+  },
+  listGroupOrders: {
+    call: (token, fixture, options) => groupOrdersApi.listGroupOrdersByLocation(token, "South", options),
+  },
+  submitToRestaurant: {
+    prepare: paidOrder,
+    call: (token, order, options) => groupOrdersApi.submitToRestaurant(token, order.groupFoodOrderId, options),
+  },
+  getStaffOrders: {
+    call: (token, fixture, options) =>
+      groupOrdersApi.getOrdersForRestaurantStaff(token, STAFF_ID, RESTAURANT_ID, options),
+  },
+  kitchenPreparing: {
+    prepare: submittedOrder,
+    call: (token, order, options) => groupOrdersApi.kitchenPreparing(token, order.groupFoodOrderId, options),
+  },
+  readyForDelivery: {
+    prepare: preparingOrder,
+    call: (token, order, options) => groupOrdersApi.readyForDelivery(token, order.groupFoodOrderId, options),
+  },
+  updatePayment: {
+    prepare: (data) => ({ payment: buildPayment(createdOrder(data).id, orderTotal(TEST_ORDER_DETAILS), "payNow") }),
+    call: (token, fixture, options) => ordersApi.updatePayment(token, fixture.payment, options),
+  },
+  getOrder: {
+    prepare: createdOrder,
+    call: (token, order, options) => ordersApi.getOrder(token, order.id, options),
+  },
+  deleteOrder: {
+    prepare: createdOrder,
+    call: (token, order, options) => ordersApi.deleteOrder(token, order.id, options),
+  },
+  deleteGroupOrder: {
+    prepare: createdOrder,
+    call: (token, order, options) => groupOrdersApi.deleteGroupOrder(token, order.groupFoodOrderId, options),
+  },
+};
+
+const isStatus = (value) => Number.isInteger(value) && value >= 100 && value < 600;
+
+// The table and the calls must cover the same endpoints, each row every role
+Object.keys(ENDPOINTS).forEach((name) => {
+  if (!matrix.endpoints[name]) {
+    throw new Error(`${MATRIX_PATH} has no row for endpoint "${name}"`);
+  }
+});
+Object.keys(matrix.endpoints).forEach((name) => {
+  if (!ENDPOINTS[name]) {
+    throw new Error(`Unknown endpoint "${name}" in ${MATRIX_PATH}. Use one of: ${Object.keys(ENDPOINTS).join(", ")}`);
+  }
+  ROLES.forEach((role) => {
+    const expected = [].concat(matrix.endpoints[name][role]);
+    if (expected.length === 0 || !expected.every(isStatus)) {
+      throw new Error(`Endpoint "${name}" in ${MATRIX_PATH} needs a status or list of statuses for ${role}`);
+    }
+  });
+});
+
+const allowed = (statuses) => statuses.some((status) => status < 300);
+
+// Denied calls run first, so the allowed call finds the fixture untouched
+function rolesInOrder(row) {
+  const denied = ROLES.filter((role) => !allowed([].concat(row[role])));
+  return denied.concat(ROLES.filter((role) => denied.indexOf(role) === -1));
+}
+
+// A staff member of a restaurant other than RESTAURANT_ID
+function wrongStaffAccount() {
+  for (const account of staffPool.accounts) {
+    if (account.restaurantId && account.restaurantId !== RESTAURANT_ID) return account;
+  }
+  return null;
+}
+
+export function setup() {
+  const wrongStaff = wrongStaffAccount();
+  return {
+    tokens: {
+      anonymous: null,
+      customer: login(config.customer),
+      staff: login(config.staff),
+      // Left out when the pool has nobody from another restaurant
+      wrongStaff: wrongStaff ? login(wrongStaff) : undefined,
+    },
+    run: startRun("functional_authz"),
+  };
+}
+
+export default function (data) {
+  const ctx = createTestContext();
+
+  Object.keys(matrix.endpoints).forEach((name) => {
+    const endpoint = ENDPOINTS[name];
+    const row = matrix.endpoints[name];
+    const prepared = `Prepare ${name}`;
+
+    group(name, () => {
+      if (endpoint.prepare) {
+        ctx.test(prepared, (state) => {
+          state[name] = endpoint.prepare(data);
+        });
+      }
+
+      rolesInOrder(row).forEach((role) => {
+        const test = `${name} as ${role}`;
+        const expected = [].concat(row[role]);
+
+        if (data.tokens[role] === undefined) {
+          ctx.skip(test, `no ${role} token: add a staff account of another restaurant to the staff pool`);
+          return;
+        }
+
+        ctx.test(test, { dependsOn: endpoint.prepare ? [prepared] : [] }, (state) => {
+          const { response } = endpoint.call(data.tokens[role], state[name] || {}, {
+            expectedStatus: expected,
+            label: test,
+          });
+          expect(response.status, `${name} answers ${expected.join(" or ")} to ${role}`).to.be.oneOf(expected);
+        });
+      });
+    });
+  });
+}
+
+export { teardown } from "./lib/testData.js";
+
+// HTML, JSON and JUnit reports in REPORT_DIR
+export const handleSummary = createSummaryHandler("functional_authz", { junit: true });
@@ -1,29 +1,33 @@
-import { sleep, check, group } from "k6";
-import http from "k6/http";
+import { group } from "k6";
 import { Rate } from "k6/metrics";
-import { describe, expect } from 'https://jslib.k6.io/k6chaijs/4.3.4.3/index.js';
+import { expect } from 'https://jslib.k6.io/k6chaijs/4.3.4.3/index.js';
+import { config } from "./lib/config.js";
+import * as userApi from "./lib/clients/user.js";
+import * as restaurantApi from "./lib/clients/restaurant.js";
+import * as groupOrdersApi from "./lib/clients/groupOrders.js";
+import * as ordersApi from "./lib/clients/orders.js";
+import { createTestContext } from "./lib/testContext.js";
+import { orderTotal } from "./lib/orderGenerator.js";
+import { buildPayment } from "./lib/payments.js";
+import {
+  checkSchema,
+  loginTokenSchema,
+  restaurantListSchema,
+  groupFoodOrderSchema,
+  paymentStatusSchema,
+} from "./lib/schemas.js";
+import { createSummaryHandler } from "./lib/summary.js";
+import { think } from "./lib/pacing.js";
+import { startRun } from "./lib/testData.js";
+import { TEST_ORDER_DETAILS, testOrderPayload } from "./lib/testOrder.js";
 
 // Custom metrics for functional tests
-const errors = new Rate("errors");
 const functionalChecks = new Rate("functional_checks");
 
-// Configuration
-const BASE_URL = "http://localhost:8765";
-
 // Test data
 const TEST_USER = {
-  email: "testcus1@mail.com",
-  password: "testcus1",
-};
-
-const TEST_ORDER = {
-  restaurantId: "6711074323ad9d42043cff5e",
-  userId: "0452735e-be9a-499f-93bd-b5a661780c86",
-  location: "South",
-  deliveryAddress: "01-01  Outram Park, Cantonment Road, People's Park, Outram, Central, Singapore, 088875, Singapore",
-  deliveryLatitude: 1.280799664912132,
-  deliveryLongitude: 103.83968353271486,
-  deliveryFee: 5,
+  email: config.customer.email,
+  password: config.customer.password,
 };
 
 // Test configuration for functional tests
@@ -38,189 +42,103 @@ export const options = {
   },
   thresholds: {
     functional_checks: ["rate>=1"], // All functional checks must pass
+    checks: ["rate>=1"],           // Any failed expect fails the run (exit code 99)
     errors: ["rate<0.01"],         // No errors allowed in functional tests
   },
 };
 
-// Helper function for response validation
-function validateResponse(response, requestName, expectedStatus = 200) {
-  const checkResult = check(response, {
-    [`${requestName} status is ${expectedStatus}`]: (r) => r.status === expectedStatus,
-    [`${requestName} has valid response body`]: (r) => r.body.length > 0,
-  });
-
-  if (!checkResult) {
-    console.error(`${requestName} validation failed:`, {
-      status: response.status,
-      body: response.body,
-    });
-    errors.add(1);
-  }
-  return checkResult;
-}
-
 export function setup() {
   // Perform authentication and return auth token
-  const loginResponse = http.post(
-    `${BASE_URL}/user/login`,
-    JSON.stringify(TEST_USER),
-    {
-      headers: { "Content-Type": "application/json" },
-    }
-  );
-
-  if (!validateResponse(loginResponse, "Login")) {
+  const { ok, response } = userApi.login(TEST_USER.email, TEST_USER.password);
+  if (!ok) {
     throw new Error("Authentication failed");
   }
 
-  const authToken = loginResponse.json("token");
+  const authToken = response.json("token");
   if (!authToken) {
     throw new Error("No auth token received");
   }
 
-  return { authToken };
+  return { authToken, run: startRun("functional_customer") };
 }
 
 export default function(data) {
-  const params = {
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${data.authToken}`,
-    },
-  };
+  const token = data.authToken;
+
+  // Carries the created order from one group to the next
+  const ctx = createTestContext();
 
   group("User Authentication Tests", () => {
-    describe("Login Functionality", () => {
+    ctx.test("Login Functionality", () => {
       // Test invalid credentials
-      const invalidLoginResponse = http.post(
-        `${BASE_URL}/user/login`,
-        JSON.stringify({ email: "invalid@mail.com", password: "wrongpass" }),
-        { headers: { "Content-Type": "application/json" } }
-      );
-      expect(invalidLoginResponse.status, "Invalid login should be rejected").to.equal(401);
+      const invalidLogin = userApi.login("invalid@mail.com", "wrongpass", { expectedStatus: 401 });
+      expect(invalidLogin.response.status, "Invalid login should be rejected").to.equal(401);
 
       // Test valid credentials
-      const validLoginResponse = http.post(
-        `${BASE_URL}/user/login`,
-        JSON.stringify(TEST_USER),
-        { headers: { "Content-Type": "application/json" } }
-      );
-      expect(validLoginResponse.status, "Valid login should succeed").to.equal(200);
+      const validLogin = userApi.login(TEST_USER.email, TEST_USER.password);
+      expect(validLogin.response.status, "Valid login should succeed").to.equal(200);
+      expect(checkSchema(validLogin.response, "Login", loginTokenSchema), "Login response contract").to.be.true;
     });
   });
 
   group("Restaurant Listing Tests", () => {
-    describe("Restaurant API", () => {
-      const restaurantsResponse = http.get(
-        `${BASE_URL}/restaurant-service/restaurants/all`,
-        params
-      );
-
-      expect(restaurantsResponse.status, "Should get restaurant list").to.equal(200);
-      
-      const restaurants = restaurantsResponse.json();
+    ctx.test("Restaurant API", () => {
+      const { response } = restaurantApi.getRestaurants(token);
+
+      expect(response.status, "Should get restaurant list").to.equal(200);
+      expect(checkSchema(response, "Get Restaurants", restaurantListSchema), "Restaurant list contract").to.be.true;
+
+      const restaurants = response.json();
       expect(restaurants, "Should return array of restaurants").to.be.an('array');
       expect(restaurants, "Should have at least one restaurant").to.have.lengthOf.above(0);
-      
+
       // Verify restaurant data structure
-      const testRestaurant = restaurants.find(r => r._id === TEST_ORDER.restaurantId);
+      const testRestaurant = restaurants.find(r => r._id === config.restaurantId);
       expect(testRestaurant, "Test restaurant should exist").to.not.be.undefined;
     });
   });
 
   group("Order Creation Tests", () => {
-    describe("Group Food Order Creation", () => {
-      const orderDetails = [
-        {
-          menuId: "6736f708dd18100640edc481",
-          menuImageURL: "https://images.pexels.com/photos/7251866/pexels-photo-7251866.jpeg",
-          name: "Steamed Dumplings",
-          quantity: 1,
-          price: 8.99,
-        },
-        {
-          menuId: "6736f708dd18100640edc482",
-          menuImageURL: "https://images.pexels.com/photos/7287723/pexels-photo-7287723.jpeg",
-          name: "Pan-Fried Dumplings",
-          quantity: 1,
-          price: 9.99,
-        },
-      ];
-
-      const orderPayload = {
-        ...TEST_ORDER,
-        orderDetails: JSON.stringify(orderDetails),
-      };
-
-      const orderResponse = http.post(
-        `${BASE_URL}/groupFoodOrdersAPI/groupFoodOrder`,
-        JSON.stringify(orderPayload),
-        params
-      );
-
-      expect(orderResponse.status, "Order creation should succeed").to.equal(200);
-      
-      const orderData = orderResponse.json();
+    ctx.test("Group Food Order Creation", (state) => {
+      const orderDetails = TEST_ORDER_DETAILS.slice(0, 2);
+
+      const { response } = groupOrdersApi.createGroupOrder(token, testOrderPayload(data.run, { orderDetails }));
+
+      expect(response.status, "Order creation should succeed").to.equal(200);
+      expect(checkSchema(response, "Create Order", groupFoodOrderSchema), "Group food order contract").to.be.true;
+
+      const orderData = response.json();
       expect(orderData, "Order should have ID").to.have.property('id');
-      expect(orderData, "Order should have restaurantId").to.have.property('restaurantId', TEST_ORDER.restaurantId);
-      
-      return orderData; // Pass order data to next test
+      expect(orderData, "Order should have restaurantId").to.have.property('restaurantId', config.restaurantId);
+
+      state.orderData = orderData;
+      state.totalPrice = orderTotal(orderDetails);
     });
   });
 
   group("Payment Processing Tests", () => {
-    describe("PayNow Payment Processing", (orderData) => {
-      const paymentPayload = {
-        orderItemId: orderData.id,
-        paymentStatus: "PENDING",
-        isGroupFoodOrder: true,
-        isGetPromo: false,
-        totalPrice: 30.97,
-        forShow: false,
-        paymentType: "payNow",
-        payNowMobileNumber: "92325933",
-      };
-
-      const paymentResponse = http.put(
-        `${BASE_URL}/order-service/UpdatePaymentStatusAPI/updatePayment`,
-        JSON.stringify(paymentPayload),
-        params
-      );
-
-      expect(paymentResponse.status, "Payment update should succeed").to.equal(200);
-      
+    ctx.test("PayNow Payment Processing", { dependsOn: ["Group Food Order Creation"] }, (state) => {
+      const { orderData } = state;
+      const paymentPayload = buildPayment(orderData.id, state.totalPrice, "payNow");
+
+      const payment = ordersApi.updatePayment(token, paymentPayload);
+      expect(payment.response.status, "Payment update should succeed").to.equal(200);
+
       // Verify payment status
-      const verifyPaymentResponse = http.get(
-        `${BASE_URL}/order-service/orders/${orderData.id}`,
-        params
-      );
-      
-      expect(verifyPaymentResponse.status, "Should get payment status").to.equal(200);
-      const paymentStatus = verifyPaymentResponse.json();
+      const { response } = ordersApi.getOrder(token, orderData.id);
+
+      expect(response.status, "Should get payment status").to.equal(200);
+      expect(checkSchema(response, "Get Payment Status", paymentStatusSchema), "Payment status contract").to.be.true;
+      const paymentStatus = response.json();
       expect(paymentStatus, "Payment status should be updated").to.have.property('paymentStatus');
     });
   });
 
   // Add think time between user actions
-  sleep(Math.random() * 2 + 1);
+  think("functionalIteration");
 }
 
-export function teardown(data) {
-  if (!data || !data.authToken) {
-    console.error("No auth token for cleanup");
-    return;
-  }
+export { teardown } from "./lib/testData.js";
 
-  // Cleanup test data
-  const cleanupResponse = http.del(
-    `${BASE_URL}/cleanup`,
-    null,
-    {
-      headers: {
-        Authorization: `Bearer ${data.authToken}`,
-      },
-    }
-  );
-
-  validateResponse(cleanupResponse, "Cleanup");
-}
\ No newline at end of file
+// HTML, JSON and JUnit reports in REPORT_DIR
+export const handleSummary = createSummaryHandler("functional_customer", { junit: true });
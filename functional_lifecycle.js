@@ -0,0 +1,166 @@
+import { sleep, check, group } from "k6";
+import { Trend } from "k6/metrics";
+import { expect } from 'https://jslib.k6.io/k6chaijs/4.3.4.3/index.js';
+import { config } from "./lib/config.js";
+import { json } from "./lib/http.js";
+import * as userApi from "./lib/clients/user.js";
+import * as groupOrdersApi from "./lib/clients/groupOrders.js";
+import * as ordersApi from "./lib/clients/orders.js";
+import { createTestContext } from "./lib/testContext.js";
+import { orderTotal } from "./lib/orderGenerator.js";
+import { buildPayment, PAID_STATUS } from "./lib/payments.js";
+import { createSummaryHandler } from "./lib/summary.js";
+import { startRun } from "./lib/testData.js";
+import { TEST_ORDER_DETAILS, testOrderPayload } from "./lib/testOrder.js";
+
+// End-to-end order lifecycle: one order followed from creation by the
+// customer, through payment, to READY_FOR_DELIVERY by the restaurant staff.
+
+// Time from triggering a transition until the staff order list shows the new status
+const timeToState = new Trend("order_time_to_state", true);
+
+// Configuration
+const RESTAURANT_ID = config.restaurantId;
+const STAFF_ID = config.staff.userId;
+const STATE_TIMEOUT_MS = parseInt(__ENV.STATE_TIMEOUT || "30", 10) * 1000;
+const POLL_INTERVAL = 0.5;
+
+export const options = {
+  scenarios: {
+    lifecycle_test: {
+      executor: "shared-iterations",
+      vus: 1,
+      iterations: 1,
+      maxDuration: "10m",
+    },
+  },
+  thresholds: {
+    checks: ["rate>=1"],
+    "order_time_to_state{state:SUBMITTED_TO_RESTAURANT}": ["p(95)<5000"],
+    "order_time_to_state{state:KITCHEN_PREPARING}": ["p(95)<5000"],
+    "order_time_to_state{state:READY_FOR_DELIVERY}": ["p(95)<5000"],
+  },
+};
+
+function login(email, password) {
+  const { response } = userApi.login(email, password);
+
+  expect(response.status, `Login as ${email}`).to.equal(200);
+  return response.json("token");
+}
+
+// Polls the staff order list until the order reaches `status`.
+// Returns the observed order, or undefined on timeout.
+function waitForStatus(groupFoodOrderId, status, token, startedAt) {
+  while (Date.now() - startedAt < STATE_TIMEOUT_MS) {
+    const { ok, response } = groupOrdersApi.getOrdersForRestaurantStaff(token, STAFF_ID, RESTAURANT_ID);
+
+    if (ok) {
+      const order = json(response, []).find((o) => o.groupFoodOrderId === groupFoodOrderId);
+      if (order && order.orderStatus === status) {
+        timeToState.add(Date.now() - startedAt, { state: status });
+        return order;
+      }
+    }
+    sleep(POLL_INTERVAL);
+  }
+  return undefined;
+}
+
+export function setup() {
+  return {
+    customerToken: login(config.customer.email, config.customer.password),
+    staffToken: login(config.staff.email, config.staff.password),
+    run: startRun("functional_lifecycle"),
+  };
+}
+
+export default function (data) {
+  const { customerToken, staffToken } = data;
+
+  // State carried from one step to the next
+  const ctx = createTestContext();
+  const lifecycle = ctx.state;
+
+  group("Customer Places Order", () => {
+    ctx.test("Create group food order", () => {
+      const { response: orderResponse } = groupOrdersApi.createGroupOrder(customerToken, testOrderPayload(data.run));
+      expect(orderResponse.status, "Order creation should succeed").to.equal(200);
+
+      const order = orderResponse.json();
+      expect(order, "Order should have ID").to.have.property("id");
+      expect(order, "Order should have groupFoodOrderId").to.have.property("groupFoodOrderId");
+
+      lifecycle.order = order;
+      lifecycle.totalPrice = orderTotal(TEST_ORDER_DETAILS);
+    });
+
+    ctx.test("Pay with PayNow", { dependsOn: ["Create group food order"] }, () => {
+      const { response: paymentResponse } = ordersApi.updatePayment(
+        customerToken,
+        buildPayment(lifecycle.order.id, lifecycle.totalPrice, "payNow")
+      );
+      expect(paymentResponse.status, "Payment update should succeed").to.equal(200);
+
+      const { response: verifyResponse } = ordersApi.getOrder(customerToken, lifecycle.order.id);
+      expect(verifyResponse.status, "Should get payment status").to.equal(200);
+      expect(verifyResponse.json("paymentStatus"), "Order is paid").to.equal(PAID_STATUS);
+    });
+
+    ctx.test("Submit order to restaurant", { dependsOn: ["Pay with PayNow"] }, () => {
+      const startedAt = Date.now();
+      const { response: submitResponse } = groupOrdersApi.submitToRestaurant(
+        customerToken,
+        lifecycle.order.groupFoodOrderId
+      );
+      expect(submitResponse.status, "Submit should succeed").to.equal(200);
+
+      const order = waitForStatus(
+        lifecycle.order.groupFoodOrderId, "SUBMITTED_TO_RESTAURANT", staffToken, startedAt
+      );
+      expect(order, "Staff sees SUBMITTED_TO_RESTAURANT").to.not.be.undefined;
+      lifecycle.status = order.orderStatus;
+    });
+  });
+
+  group("Restaurant Processes Order", () => {
+    ctx.test("Accept order into kitchen", { dependsOn: ["Submit order to restaurant"] }, () => {
+      const startedAt = Date.now();
+      const { response: acceptResponse } = groupOrdersApi.kitchenPreparing(
+        staffToken,
+        lifecycle.order.groupFoodOrderId
+      );
+      expect(acceptResponse.status, "Order accepted successfully").to.equal(200);
+
+      const order = waitForStatus(
+        lifecycle.order.groupFoodOrderId, "KITCHEN_PREPARING", staffToken, startedAt
+      );
+      expect(order, "Staff sees KITCHEN_PREPARING").to.not.be.undefined;
+      lifecycle.status = order.orderStatus;
+    });
+
+    ctx.test("Mark order ready for delivery", { dependsOn: ["Accept order into kitchen"] }, () => {
+      const startedAt = Date.now();
+      const { response: readyResponse } = groupOrdersApi.readyForDelivery(
+        staffToken,
+        lifecycle.order.groupFoodOrderId
+      );
+      expect(readyResponse.status, "Order marked ready successfully").to.equal(200);
+
+      const order = waitForStatus(
+        lifecycle.order.groupFoodOrderId, "READY_FOR_DELIVERY", staffToken, startedAt
+      );
+      expect(order, "Staff sees READY_FOR_DELIVERY").to.not.be.undefined;
+      lifecycle.status = order.orderStatus;
+    });
+  });
+
+  check(lifecycle, {
+    "Order reached READY_FOR_DELIVERY": (l) => l.status === "READY_FOR_DELIVERY",
+  });
+}
+
+export { teardown } from "./lib/testData.js";
+
+// HTML, JSON and JUnit reports in REPORT_DIR
+export const handleSummary = createSummaryHandler("functional_lifecycle", { junit: true });
@@ -0,0 +1,206 @@
+import { sleep, group, check } from "k6";
+import exec from "k6/execution";
+import { Counter } from "k6/metrics";
+import { expect } from 'https://jslib.k6.io/k6chaijs/4.3.4.3/index.js';
+import { config } from "./lib/config.js";
+import { json } from "./lib/http.js";
+import { checkSchema, paymentStatusSchema } from "./lib/schemas.js";
+import * as groupOrdersApi from "./lib/clients/groupOrders.js";
+import * as ordersApi from "./lib/clients/orders.js";
+import { createTestContext } from "./lib/testContext.js";
+import { login, staffPool } from "./lib/userPool.js";
+import { createSummaryHandler } from "./lib/summary.js";
+import { startRun, recordCreated, cleanupRun } from "./lib/testData.js";
+import { testOrderPayload, payTestOrder } from "./lib/testOrder.js";
+import { CONFLICT, READY, SUBMITTED, TRANSITIONS, pathTo, transitionCases } from "./lib/orderStates.js";
+
+// Order state machine: every transition of lib/orderStates.js on an order in
+// every status, paid and unpaid, and on an unknown groupFoodOrderId. Each case
+// gets a fresh order, expects the model's response status and checks the
+// order's status afterwards.
+//
+// The race scenario has RACE_VUS staff VUs, each logged in as a different
+// staff member of the restaurant, send the same staff transition on the same
+// order at the same moment, RACE_ROUNDS times: exactly one of them may move
+// the order, the others must get 409. VUs left without a staff account of
+// their own race as the profile's staff member.
+
+// Configuration
+const RESTAURANT_ID = config.restaurantId;
+const RACE_VUS = parseInt(__ENV.RACE_VUS || "2", 10);
+const RACE_ROUNDS = parseInt(__ENV.RACE_ROUNDS || "5", 10);
+// Time between two races; every VU must have sent its request within it
+const RACE_SLOT_MS = parseInt(__ENV.RACE_SLOT_MS || "2000", 10);
+// Time for the race VUs to start after setup()
+const RACE_LEAD_MS = 5000;
+
+// One staff member of the restaurant per race VU, as far as the pool has them
+const RACE_STAFF = [];
+for (const account of staffPool.accounts) {
+  if (account.restaurantId === RESTAURANT_ID && RACE_STAFF.length < RACE_VUS) RACE_STAFF.push(account);
+}
+
+// Staff transitions, raced one after the other on each order
+const RACED = Object.keys(TRANSITIONS).filter((transition) => TRANSITIONS[transition].role === "staff");
+
+// Custom metrics: one winner per race, everyone else gets a conflict
+const raceWins = new Counter("order_race_wins");
+const raceLosses = new Counter("order_race_losses");
+
+const RACES = RACE_ROUNDS * RACED.length;
+
+export const options = {
+  scenarios: {
+    transitions_test: {
+      executor: "shared-iterations",
+      exec: "transitions",
+      vus: 1,
+      iterations: 1,
+      maxDuration: "10m",
+    },
+    race_test: {
+      executor: "per-vu-iterations",
+      exec: "race",
+      vus: RACE_VUS,
+      iterations: 1,
+      maxDuration: "5m",
+    },
+  },
+  thresholds: {
+    checks: ["rate>=1"],
+    order_race_wins: [`count==${RACES}`],
+    order_race_losses: [`count==${RACES * (RACE_VUS - 1)}`],
+  },
+};
+
+// Sends a transition with the token of the persona the model names
+function send(tokens, transition, groupFoodOrderId, options = {}) {
+  return groupOrdersApi[transition](tokens[TRANSITIONS[transition].role], groupFoodOrderId, options);
+}
+
+// A new order of the run, paid or not, taken to `status` through the API
+function orderIn(data, { status, paid }) {
+  const { tokens } = data;
+  const { response } = groupOrdersApi.createGroupOrder(tokens.customer, testOrderPayload(data.run));
+  expect(response.status, "Order created").to.equal(200);
+  const order = response.json();
+
+  if (paid) {
+    expect(payTestOrder(tokens.customer, order).response.status, "Order paid").to.equal(200);
+  }
+  pathTo(status).forEach((transition) => {
+    const result = send(tokens, transition, order.groupFoodOrderId);
+    expect(result.response.status, `${transition} on the way to ${status}`).to.equal(200);
+  });
+  return order;
+}
+
+// A body without orderStatus fails the schema check, not every status assertion
+function statusOf(data, order) {
+  const { response } = ordersApi.getOrder(data.tokens.customer, order.id);
+  checkSchema(response, "Get Order", paymentStatusSchema);
+  return json(response, {}).orderStatus;
+}
+
+export function setup() {
+  const tokens = {
+    customer: login(config.customer),
+    staff: login(config.staff),
+  };
+  const run = startRun("functional_order_states");
+  if (RACE_STAFF.length < RACE_VUS) {
+    console.warn(
+      `The staff pool has ${RACE_STAFF.length} staff account(s) of restaurant ${RESTAURANT_ID} for ${RACE_VUS} race VUs, ` +
+        `the others race as the profile's staff member`
+    );
+  }
+
+  // One paid, submitted order per race round
+  const raced = [];
+  for (let round = 0; round < RACE_ROUNDS; round++) {
+    const order = orderIn({ tokens, run }, { status: SUBMITTED, paid: true });
+    recordCreated("groupFoodOrder", order.id, run);
+    raced.push({ id: order.id, groupFoodOrderId: order.groupFoodOrderId });
+  }
+
+  return {
+    tokens,
+    run,
+    race: {
+      orders: raced,
+      staff: Array.from({ length: RACE_VUS }, (_, vu) => (RACE_STAFF[vu] ? login(RACE_STAFF[vu]) : tokens.staff)),
+      startAt: Date.now() + RACE_LEAD_MS,
+    },
+  };
+}
+
+export function transitions(data) {
+  const ctx = createTestContext();
+  const cases = transitionCases();
+
+  Object.keys(TRANSITIONS).forEach((transition) => {
+    group(transition, () => {
+      cases
+        .filter((testCase) => testCase.transition === transition)
+        .forEach(({ name, state, expected }) => {
+          ctx.test(name, () => {
+            const order = state ? orderIn(data, state) : null;
+            const groupFoodOrderId = order ? order.groupFoodOrderId : `${data.run.runId}-unknown`;
+
+            const { response } = send(data.tokens, transition, groupFoodOrderId, {
+              expectedStatus: expected.code,
+              label: name,
+            });
+            expect(response.status, `${transition} answered ${expected.code}`).to.equal(expected.code);
+            if (order) {
+              expect(statusOf(data, order), `Order ${expected.code === 200 ? "moved" : "unchanged"}`).to.equal(
+                expected.status
+              );
+            }
+          });
+        });
+    });
+  });
+}
+
+export function race(data) {
+  const { orders, startAt } = data.race;
+  // Each VU races as its own staff member
+  const tokens = { ...data.tokens, staff: data.race.staff[exec.scenario.iterationInTest] };
+
+  orders.forEach((order, round) => {
+    RACED.forEach((transition, step) => {
+      // Every VU sends at the same moment
+      const wait = startAt + (round * RACED.length + step) * RACE_SLOT_MS - Date.now();
+      if (wait > 0) {
+        sleep(wait / 1000);
+      } else {
+        console.warn(`Race ${transition} of round ${round + 1} started ${-wait}ms late`);
+      }
+
+      const tags = { transition };
+      const { response } = send(tokens, transition, order.groupFoodOrderId, {
+        expectedStatus: [200, CONFLICT],
+        label: `Race ${transition}`,
+        tags,
+      });
+      const won = response.status === 200;
+      raceWins.add(won ? 1 : 0, tags);
+      raceLosses.add(!won && response.status === CONFLICT ? 1 : 0, tags);
+      check(response, { "Race answered with 200 or 409": (r) => r.status === 200 || r.status === CONFLICT });
+    });
+  });
+}
+
+export function teardown(data) {
+  if (data && data.race) {
+    // However the races went, every raced order went through each status once
+    const moved = data.race.orders.filter((order) => statusOf(data, order) === READY);
+    check(moved, { "Raced orders ready for delivery": (m) => m.length === data.race.orders.length });
+  }
+
+  cleanupRun(data?.run);
+}
+
+// HTML, JSON and JUnit reports in REPORT_DIR
+export const handleSummary = createSummaryHandler("functional_order_states", { junit: true });
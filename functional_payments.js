@@ -0,0 +1,104 @@
+import { group } from "k6";
+import { expect } from 'https://jslib.k6.io/k6chaijs/4.3.4.3/index.js';
+import { config } from "./lib/config.js";
+import * as userApi from "./lib/clients/user.js";
+import * as groupOrdersApi from "./lib/clients/groupOrders.js";
+import * as ordersApi from "./lib/clients/orders.js";
+import { createTestContext } from "./lib/testContext.js";
+import { orderTotal } from "./lib/orderGenerator.js";
+import {
+  PAYMENT_TYPES,
+  INVALID_PAYMENTS,
+  INVALID_PAYMENT_STATUS,
+  PAID_STATUS,
+  buildPayment,
+  buildInvalidPayment,
+} from "./lib/payments.js";
+import { createSummaryHandler } from "./lib/summary.js";
+import { startRun } from "./lib/testData.js";
+import { TEST_ORDER_DETAILS, testOrderPayload } from "./lib/testOrder.js";
+
+// Payment method matrix: every payment type with and without promo, plus
+// invalid inputs that must be rejected. Each case pays for a fresh order and
+// checks the resulting paymentStatus via /order-service/orders/{id}.
+
+export const options = {
+  scenarios: {
+    payment_tests: {
+      executor: "shared-iterations",
+      vus: 1,
+      iterations: 1,
+      maxDuration: "1h",
+    },
+  },
+  thresholds: {
+    checks: ["rate>=1"],
+  },
+};
+
+export function setup() {
+  const { response: loginResponse } = userApi.login(config.customer.email, config.customer.password);
+
+  expect(loginResponse.status, "Login successful").to.equal(200);
+  return { authToken: loginResponse.json("token"), run: startRun("functional_payments") };
+}
+
+// Creates an order of the run to pay for, returns { order, totalPrice }
+function createOrder(token, run) {
+  const { response: orderResponse } = groupOrdersApi.createGroupOrder(token, testOrderPayload(run));
+  expect(orderResponse.status, "Order creation should succeed").to.equal(200);
+
+  return { order: orderResponse.json(), totalPrice: orderTotal(TEST_ORDER_DETAILS) };
+}
+
+// Sends the payment; `expectedStatus` is what the backend should answer
+function pay(token, payload, expectedStatus = 200) {
+  return ordersApi.updatePayment(token, payload, { expectedStatus }).response;
+}
+
+function paymentStatus(orderId, token) {
+  const { response } = ordersApi.getOrder(token, orderId);
+  expect(response.status, "Should get payment status").to.equal(200);
+  return response.json("paymentStatus");
+}
+
+export default function (data) {
+  const token = data.authToken;
+
+  const ctx = createTestContext();
+
+  group("Valid Payments", () => {
+    PAYMENT_TYPES.forEach((paymentType) => {
+      [false, true].forEach((isGetPromo) => {
+        const name = `${paymentType}${isGetPromo ? " with promo" : ""}`;
+
+        ctx.test(name, () => {
+          const { order, totalPrice } = createOrder(token, data.run);
+          const response = pay(token, buildPayment(order.id, totalPrice, paymentType, { isGetPromo }));
+          expect(response.status, `${name} payment should succeed`).to.equal(200);
+          expect(paymentStatus(order.id, token), `${name} order is paid`).to.equal(PAID_STATUS);
+        });
+      });
+    });
+  });
+
+  group("Invalid Payments", () => {
+    INVALID_PAYMENTS.forEach((invalidCase) => {
+      ctx.test(`Rejects ${invalidCase.name}`, () => {
+        const { order, totalPrice } = createOrder(token, data.run);
+        const response = pay(
+          token,
+          buildInvalidPayment(order.id, totalPrice, invalidCase),
+          INVALID_PAYMENT_STATUS
+        );
+        expect(response.status, `${invalidCase.name} is rejected`).to.equal(INVALID_PAYMENT_STATUS);
+        expect(paymentStatus(order.id, token), `${invalidCase.name} leaves order unpaid`).to.not.equal(PAID_STATUS);
+      });
+    });
+  });
+}
+
+export { teardown } from "./lib/testData.js";
+
+// HTML, JSON and JUnit reports in REPORT_DIR
+export const handleSummary = createSummaryHandler("functional_payments", { junit: true });
@@ -1,10 +1,21 @@
-import { sleep, check, group } from "k6";
-import http from "k6/http";
-import { describe, expect } from 'https://jslib.k6.io/k6chaijs/4.3.4.3/index.js';
+import { group } from "k6";
+import { expect } from 'https://jslib.k6.io/k6chaijs/4.3.4.3/index.js';
+import { config } from "./lib/config.js";
+import * as userApi from "./lib/clients/user.js";
+import * as restaurantApi from "./lib/clients/restaurant.js";
+import * as groupOrdersApi from "./lib/clients/groupOrders.js";
+import { createTestContext } from "./lib/testContext.js";
+import {
+  checkSchema,
+  loginTokenSchema,
+  restaurantListSchema,
+  staffOrderListSchema,
+} from "./lib/schemas.js";
+import { createSummaryHandler } from "./lib/summary.js";
+import { think } from "./lib/pacing.js";
 
-const BASE_URL = "http://localhost:8765";
-const RESTAURANT_ID = "6711074323ad9d42043cff5e";
-const STAFF_ID = "8589f685-8161-4743-92d7-4d1908e2133d";
+const RESTAURANT_ID = config.restaurantId;
+const STAFF_ID = config.staff.userId;
 
 export const options = {
   scenarios: {
@@ -16,135 +27,92 @@ export const options = {
     },
   },
   thresholds: {
-    checks: ['rate>=0.99']
+    checks: ['rate>=1'] // Any failed expect fails the run (exit code 99)
   },
 };
 
 export function setup() {
-  const loginResponse = http.post(
-    `${BASE_URL}/user/login`,
-    JSON.stringify({
-      email: "shop1@mail.com",
-      password: "shop1",
-    }),
-    {
-      headers: { "Content-Type": "application/json" }
-    }
-  );
+  const { response: loginResponse } = userApi.login(config.staff.email, config.staff.password);
 
   expect(loginResponse.status, "Login successful").to.equal(200);
+  expect(checkSchema(loginResponse, "Login", loginTokenSchema), "Login response contract").to.be.true;
   return { authToken: loginResponse.json("token") };
 }
 
 export default function (data) {
-  const params = {
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${data.authToken}`,
-    }
-  };
+  const token = data.authToken;
+
+  // Carries the fetched orders from one group to the next
+  const ctx = createTestContext();
 
   group("Restaurant Authentication", () => {
-    describe('Staff Login', () => {
-      const invalidLoginResponse = http.post(
-        `${BASE_URL}/user/login`,
-        JSON.stringify({
-          email: "invalid@mail.com",
-          password: "wrong"
-        }),
-        { headers: { "Content-Type": "application/json" } }
-      );
+    ctx.test('Staff Login', () => {
+      const { response: invalidLoginResponse } = userApi.login("invalid@mail.com", "wrong", { expectedStatus: 401 });
       expect(invalidLoginResponse.status, "Invalid login rejected").to.equal(401);
     });
   });
 
   group("Restaurant Data Access", () => {
-    describe('Get Restaurant List', () => {
-      const restaurantsResponse = http.get(
-        `${BASE_URL}/restaurant-service/restaurants/all`,
-        params
-      );
+    ctx.test('Get Restaurant List', () => {
+      const { response: restaurantsResponse } = restaurantApi.getRestaurants(token);
       expect(restaurantsResponse.status, "Get restaurants successful").to.equal(200);
-      
+      expect(checkSchema(restaurantsResponse, "Get Restaurants", restaurantListSchema), "Restaurant list contract").to.be.true;
+
       const restaurants = restaurantsResponse.json();
       expect(restaurants, "Has restaurant data").to.be.an('array').that.is.not.empty;
     });
 
-    describe('Get Restaurant Orders', () => {
-      const ordersResponse = http.get(
-        `${BASE_URL}/groupFoodOrdersAPI/getOrdersForRestaurantStaff?userId=${STAFF_ID}&restaurantId=${RESTAURANT_ID}`,
-        params
-      );
+    ctx.test('Get Restaurant Orders', (state) => {
+      const { response: ordersResponse } = groupOrdersApi.getOrdersForRestaurantStaff(token, STAFF_ID, RESTAURANT_ID);
       expect(ordersResponse.status, "Get orders successful").to.equal(200);
-      
+      expect(checkSchema(ordersResponse, "Get Orders", staffOrderListSchema), "Staff order list contract").to.be.true;
+
       const orders = ordersResponse.json();
       expect(orders, "Has orders array").to.be.an('array');
-      return orders;
+      state.orders = orders;
     });
   });
 
   group("Order Processing Flow", () => {
-    describe('Process Submitted Orders', (orders) => {
+    ctx.test('Process Submitted Orders', { dependsOn: ['Get Restaurant Orders'] }, ({ orders }) => {
       const submittedOrders = orders.filter(order => 
         order.orderStatus === "SUBMITTED_TO_RESTAURANT"
       );
 
       submittedOrders.forEach(order => {
-        const acceptResponse = http.put(
-          `${BASE_URL}/groupFoodOrdersAPI/kitchenPreparing/${order.groupFoodOrderId}`,
-          null,
-          params
-        );
+        const { response: acceptResponse } = groupOrdersApi.kitchenPreparing(token, order.groupFoodOrderId);
         expect(acceptResponse.status, "Order accepted successfully").to.equal(200);
         
         // Verify status update
-        const verifyResponse = http.get(
-          `${BASE_URL}/groupFoodOrdersAPI/getOrdersForRestaurantStaff?userId=${STAFF_ID}&restaurantId=${RESTAURANT_ID}`,
-          params
-        );
+        const { response: verifyResponse } = groupOrdersApi.getOrdersForRestaurantStaff(token, STAFF_ID, RESTAURANT_ID);
+        expect(checkSchema(verifyResponse, "Verify Orders", staffOrderListSchema), "Staff order list contract").to.be.true;
         const updatedOrder = verifyResponse.json().find(o => o.groupFoodOrderId === order.groupFoodOrderId);
+        expect(updatedOrder, "Order still listed").to.not.be.undefined;
         expect(updatedOrder.orderStatus, "Status updated to preparing").to.equal("KITCHEN_PREPARING");
       });
     });
 
-    describe('Process Preparing Orders', (orders) => {
+    ctx.test('Process Preparing Orders', { dependsOn: ['Get Restaurant Orders'] }, ({ orders }) => {
       const preparingOrders = orders.filter(order => 
         order.orderStatus === "KITCHEN_PREPARING"
       );
 
       preparingOrders.forEach(order => {
-        const readyResponse = http.put(
-          `${BASE_URL}/groupFoodOrdersAPI/readyForDelivery/${order.groupFoodOrderId}`,
-          null,
-          params
-        );
+        const { response: readyResponse } = groupOrdersApi.readyForDelivery(token, order.groupFoodOrderId);
         expect(readyResponse.status, "Order marked ready successfully").to.equal(200);
 
         // Verify status update
-        const verifyResponse = http.get(
-          `${BASE_URL}/groupFoodOrdersAPI/getOrdersForRestaurantStaff?userId=${STAFF_ID}&restaurantId=${RESTAURANT_ID}`,
-          params
-        );
+        const { response: verifyResponse } = groupOrdersApi.getOrdersForRestaurantStaff(token, STAFF_ID, RESTAURANT_ID);
+        expect(checkSchema(verifyResponse, "Verify Orders", staffOrderListSchema), "Staff order list contract").to.be.true;
         const updatedOrder = verifyResponse.json().find(o => o.groupFoodOrderId === order.groupFoodOrderId);
+        expect(updatedOrder, "Order still listed").to.not.be.undefined;
         expect(updatedOrder.orderStatus, "Status updated to ready").to.equal("READY_FOR_DELIVERY");
       });
     });
   });
 
-  sleep(1);
+  think("functionalIteration");
 }
 
-export function teardown(data) {
-  if (data?.authToken) {
-    const cleanupResponse = http.del(
-      `${BASE_URL}/cleanup`,
-      null,
-      {
-        headers: {
-          Authorization: `Bearer ${data.authToken}`,
-        }
-      }
-    );
-    expect(cleanupResponse.status, "Cleanup successful").to.equal(200);
-  }
-}
\ No newline at end of file
+// HTML, JSON and JUnit reports in REPORT_DIR
+export const handleSummary = createSummaryHandler("functional_restaurant", { junit: true });
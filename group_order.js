@@ -0,0 +1,234 @@
+import { sleep, check } from "k6";
+import { Rate, Counter, Trend } from "k6/metrics";
+import { errors, json } from "./lib/http.js";
+import * as restaurantApi from "./lib/clients/restaurant.js";
+import * as groupOrdersApi from "./lib/clients/groupOrders.js";
+import * as ordersApi from "./lib/clients/orders.js";
+import { customerPool, splitPool, getSession, sessionUserId } from "./lib/userPool.js";
+import { createOrderGenerator } from "./lib/orderGenerator.js";
+import { buildPayment } from "./lib/payments.js";
+import { sloThresholds } from "./lib/slo.js";
+import { SUMMARY_TREND_STATS, breakdownThresholds, createSummaryHandler } from "./lib/summary.js";
+import { think, scaled } from "./lib/pacing.js";
+import { startRun, tagged, recordCreated, belongsToRun } from "./lib/testData.js";
+
+// Multi-user group order journey.
+// Host VUs create and pay for a group order and keep it open for
+// GROUP_JOIN_WINDOW seconds before submitting it to the restaurant.
+// Participant VUs discover open group orders in their location, add their own
+// items to them and pay for those; only fully paid orders can be submitted.
+
+// Custom metrics
+const groupOrdersCreated = new Counter("group_orders_created");
+const groupOrdersSubmitted = new Counter("group_orders_submitted");
+const joinSuccess = new Rate("group_order_join_success");
+const lateJoins = new Counter("group_order_late_joins");
+const discoveryMisses = new Counter("group_order_discovery_misses");
+const participantsPerOrder = new Trend("group_order_participants");
+// Submissions refused because a participant had not paid yet, tagged
+// `attempt`: "first", or "retry" after the payment grace
+const unpaidSubmits = new Counter("group_order_unpaid_submits");
+
+// Configuration
+const HOST_VUS = parseInt(__ENV.HOST_VUS || "2", 10);
+const PARTICIPANT_VUS = parseInt(__ENV.PARTICIPANT_VUS || "8", 10);
+const DURATION = __ENV.GROUP_DURATION || "5m";
+const JOIN_WINDOW = parseInt(__ENV.GROUP_JOIN_WINDOW || "20", 10);
+const LOCATIONS = (__ENV.GROUP_LOCATIONS || "South").split(",").map((l) => l.trim());
+// Seconds a participant who just joined gets to pay before the host submits again
+const PAYMENT_GRACE = parseFloat(__ENV.GROUP_PAYMENT_GRACE || "2");
+
+// Hosts and participants order as different customers, or no participant
+// would find an order of someone else to join
+const pools = splitPool(customerPool, ["host", "participant"]);
+
+// Generates this VU's orders, reproducible with -e SEED=<n>
+const orderGenerator = createOrderGenerator();
+
+const scenarios = {
+  group_hosts: {
+    executor: "constant-vus",
+    exec: "host",
+    vus: HOST_VUS,
+    duration: DURATION,
+    tags: { scenario: "group_order", role: "host" },
+  },
+  group_participants: {
+    executor: "constant-vus",
+    exec: "participant",
+    vus: PARTICIPANT_VUS,
+    duration: DURATION,
+    // Give the hosts a head start so there is something to join
+    startTime: "5s",
+    tags: { scenario: "group_order", role: "participant" },
+  },
+};
+
+export const options = {
+  scenarios,
+  summaryTrendStats: SUMMARY_TREND_STATS,
+
+  thresholds: {
+    // No abort thresholds: these scenarios are not one of the load profiles
+    ...sloThresholds(
+      [
+        "login",
+        "getRestaurants",
+        "createGroupOrder",
+        "listGroupOrders",
+        "joinGroupOrder",
+        "updatePayment",
+        "submitToRestaurant",
+        "deleteGroupOrder",
+        "deleteOrder",
+      ],
+      null
+    ),
+    errors: ["rate<0.05"],
+    group_order_join_success: ["rate>0.9"],
+    // Keeps per-scenario results for the report
+    ...breakdownThresholds(scenarios),
+  },
+};
+
+export function setup() {
+  if (customerPool.accounts.length < 2) {
+    throw new Error(
+      `group_order.js needs at least 2 customer accounts, the pool has ${customerPool.accounts.length}. ` +
+        "Seed more with: k6 run -e SEED_CUSTOMERS=20 tools/seed_users.js"
+    );
+  }
+  return { run: startRun("group_order") };
+}
+
+function getRestaurants(token, tags) {
+  const { ok, response } = restaurantApi.getRestaurants(token, { tags });
+  return ok ? json(response, []) : null;
+}
+
+// Pays for the VU's own item of a group order
+function pay(token, orderItemId, totalPrice, tags) {
+  const { ok } = ordersApi.updatePayment(token, buildPayment(orderItemId, totalPrice, "payNow"), { tags });
+  if (ok) recordCreated("payment");
+  return ok;
+}
+
+// Order items of every group order delivering to `location`
+function listGroupOrders(token, location, tags) {
+  const { ok, response } = groupOrdersApi.listGroupOrdersByLocation(token, location, { tags });
+  return ok ? json(response, []) : null;
+}
+
+export function host(data) {
+  const session = getSession(pools.host);
+  // Logs in again and resends requests that come back 401
+  const token = session.auth;
+  const tags = { role: "host" };
+
+  const restaurants = getRestaurants(token, tags);
+  if (!restaurants) return;
+
+  const location = orderGenerator.random.pick(LOCATIONS);
+  const order = orderGenerator.next(restaurants, sessionUserId(session), location);
+  if (!order) {
+    console.error("No restaurant with a menu to order from");
+    errors.add(1);
+    return;
+  }
+
+  const created = groupOrdersApi.createGroupOrder(token, tagged(data.run, order.payload), { tags });
+  const { id, groupFoodOrderId } = created.ok ? json(created.response, {}) : {};
+  if (!groupFoodOrderId) return;
+  recordCreated("groupFoodOrder");
+  if (!pay(token, id, order.totalPrice, tags)) return;
+
+  // Publishing is implicit: the order is now listed for its location
+  groupOrdersCreated.add(1);
+
+  sleep(scaled(JOIN_WINDOW));
+
+  // A participant who just joined may not have paid yet
+  const submit = () => groupOrdersApi.submitToRestaurant(token, groupFoodOrderId, { tags, expectedStatus: [200, 409] });
+  let submitted = submit();
+  if (submitted.ok && submitted.response.status === 409) {
+    unpaidSubmits.add(1, { attempt: "first" });
+    sleep(scaled(PAYMENT_GRACE));
+    submitted = submit();
+    if (submitted.ok && submitted.response.status === 409) {
+      // Still unpaid after the grace: the order stays open
+      unpaidSubmits.add(1, { attempt: "retry" });
+      return;
+    }
+  }
+  if (!submitted.ok) return;
+  groupOrdersSubmitted.add(1);
+
+  const items = listGroupOrders(token, location, tags);
+  if (items) {
+    const members = items.filter((item) => item.groupFoodOrderId === groupFoodOrderId);
+    participantsPerOrder.add(members.length);
+    check(members, {
+      "Submitted group order is SUBMITTED_TO_RESTAURANT": (m) =>
+        m.length > 0 && m.every((item) => item.orderStatus === "SUBMITTED_TO_RESTAURANT"),
+    });
+  }
+}
+
+export function participant(data) {
+  const session = getSession(pools.participant);
+  // Logs in again and resends requests that come back 401
+  const token = session.auth;
+  const tags = { role: "participant" };
+
+  const restaurants = getRestaurants(token, tags);
+  if (!restaurants) return;
+
+  const items = listGroupOrders(token, orderGenerator.random.pick(LOCATIONS), tags);
+  if (!items) return;
+
+  // Only this run's orders that are still collecting items can be joined;
+  // other testers' orders and leftovers of earlier runs are never touched
+  const userId = sessionUserId(session);
+  const joinable = items.filter(
+    (item) => item.orderStatus === "CREATED" && item.userId !== userId && belongsToRun(item, data.run)
+  );
+  if (joinable.length === 0) {
+    discoveryMisses.add(1);
+    think("findGroupOrder");
+    return;
+  }
+
+  const groupOrder = orderGenerator.random.pick(joinable);
+  const order = orderGenerator.join(restaurants, userId, groupOrder);
+  if (!order) return;
+
+  // The host may have submitted the order in the meantime; the backend must
+  // reject the late join with 409 instead of adding to a submitted order
+  const { response: joinResponse } = groupOrdersApi.joinGroupOrder(token, tagged(data.run, order.payload), {
+    expectedStatus: [200, 409],
+    tags,
+  });
+
+  const joined = check(joinResponse, {
+    "Join Group Order kept groupFoodOrderId": (r) =>
+      r.status !== 200 || r.json("groupFoodOrderId") === groupOrder.groupFoodOrderId,
+  });
+  if (!joined) errors.add(1);
+
+  if (joinResponse.status === 409) {
+    lateJoins.add(1);
+  } else {
+    joinSuccess.add(joinResponse.status === 200);
+    if (joinResponse.status === 200) {
+      recordCreated("order");
+      pay(token, joinResponse.json("id"), order.totalPrice, tags);
+    }
+  }
+
+  think("afterOrder");
+}
+
+export { teardown } from "./lib/testData.js";
+
+// HTML and JSON report in REPORT_DIR, compared against BASELINE when set
+export const handleSummary = createSummaryHandler("group_order");
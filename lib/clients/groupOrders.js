@@ -0,0 +1,92 @@
+import { request } from "../http.js";
+
+// Group food orders API: customer ordering and restaurant staff processing
+
+export function createGroupOrder(token, payload, options = {}) {
+  return request("POST", "/groupFoodOrdersAPI/groupFoodOrder", {
+    name: "createGroupOrder",
+    label: "Create Group Food Order",
+    token,
+    body: payload,
+    expectBody: true,
+    ...options,
+  });
+}
+
+// Same route as createGroupOrder, with the payload's groupFoodOrderId set
+export function joinGroupOrder(token, payload, options = {}) {
+  return request("POST", "/groupFoodOrdersAPI/groupFoodOrder", {
+    name: "joinGroupOrder",
+    label: "Join Group Order",
+    token,
+    body: payload,
+    ...options,
+  });
+}
+
+// Order items of every group order delivering to `location`
+export function listGroupOrdersByLocation(token, location, options = {}) {
+  return request(
+    "GET",
+    `/groupFoodOrdersAPI/getGroupFoodOrdersByLocation?location=${encodeURIComponent(location)}`,
+    {
+      name: "listGroupOrders",
+      label: "List Group Orders",
+      token,
+      expectBody: true,
+      ...options,
+    }
+  );
+}
+
+export function submitToRestaurant(token, groupFoodOrderId, options = {}) {
+  return request("PUT", `/groupFoodOrdersAPI/submitToRestaurant/${groupFoodOrderId}`, {
+    name: "submitToRestaurant",
+    label: "Submit Group Order",
+    token,
+    ...options,
+  });
+}
+
+export function getOrdersForRestaurantStaff(token, staffId, restaurantId, options = {}) {
+  return request(
+    "GET",
+    `/groupFoodOrdersAPI/getOrdersForRestaurantStaff?userId=${staffId}&restaurantId=${restaurantId}`,
+    {
+      name: "getStaffOrders",
+      label: "Get Orders",
+      token,
+      expectBody: true,
+      ...options,
+    }
+  );
+}
+
+export function kitchenPreparing(token, groupFoodOrderId, options = {}) {
+  return request("PUT", `/groupFoodOrdersAPI/kitchenPreparing/${groupFoodOrderId}`, {
+    name: "kitchenPreparing",
+    label: "Accept Order",
+    token,
+    ...options,
+  });
+}
+
+export function readyForDelivery(token, groupFoodOrderId, options = {}) {
+  return request("PUT", `/groupFoodOrdersAPI/readyForDelivery/${groupFoodOrderId}`, {
+    name: "readyForDelivery",
+    label: "Ready For Delivery",
+    token,
+    ...options,
+  });
+}
+
+// Deletes every order item of a group order; 404 means it is already gone
+export function deleteGroupOrder(token, groupFoodOrderId, options = {}) {
+  return request("DELETE", `/groupFoodOrdersAPI/groupFoodOrder/${groupFoodOrderId}`, {
+    name: "deleteGroupOrder",
+    label: "Delete Group Order",
+    token,
+    expectedStatus: [200, 204, 404],
+    ...options,
+  });
+}
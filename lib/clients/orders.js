@@ -0,0 +1,34 @@
+import { request } from "../http.js";
+
+// Order service: payments and order status
+
+export function updatePayment(token, payload, options = {}) {
+  return request("PUT", "/order-service/UpdatePaymentStatusAPI/updatePayment", {
+    name: "updatePayment",
+    label: "Update Payment",
+    token,
+    body: payload,
+    ...options,
+  });
+}
+
+export function getOrder(token, orderId, options = {}) {
+  return request("GET", `/order-service/orders/${orderId}`, {
+    name: "getOrder",
+    label: "Get Payment Status",
+    token,
+    expectBody: true,
+    ...options,
+  });
+}
+
+// Deletes an order with its payment; 404 means it is already gone
+export function deleteOrder(token, orderId, options = {}) {
+  return request("DELETE", `/order-service/orders/${orderId}`, {
+    name: "deleteOrder",
+    label: "Delete Order",
+    token,
+    expectedStatus: [200, 204, 404],
+    ...options,
+  });
+}
@@ -0,0 +1,13 @@
+import { request } from "../http.js";
+
+// Restaurant service
+
+export function getRestaurants(token, options = {}) {
+  return request("GET", "/restaurant-service/restaurants/all", {
+    name: "getRestaurants",
+    label: "Get Restaurants",
+    token,
+    expectBody: true,
+    ...options,
+  });
+}
@@ -0,0 +1,28 @@
+import { request } from "../http.js";
+
+// User service: authentication and registration
+
+export function login(email, password, options = {}) {
+  return request("POST", "/user/login", {
+    name: "login",
+    label: "Login",
+    body: { email, password },
+    expectBody: true,
+    ...options,
+  });
+}
+
+export function register(account, role, options = {}) {
+  return request("POST", __ENV.REGISTER_PATH || "/user/register", {
+    name: "register",
+    label: "Register",
+    body: {
+      name: account.email.split("@")[0],
+      email: account.email,
+      password: account.password,
+      role,
+      restaurantId: account.restaurantId,
+    },
+    ...options,
+  });
+}
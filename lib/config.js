@@ -0,0 +1,41 @@
+// Environment profile shared by all scripts.
+// Loads config/environments/<TARGET_ENV>.json (local by default) and lets
+// __ENV values override individual settings, e.g. -e BASE_URL=http://host:8765
+
+const TARGET_ENV = __ENV.TARGET_ENV || "local";
+const PROFILE_PATH = __ENV.ENV_FILE || `../config/environments/${TARGET_ENV}.json`;
+
+let profile;
+try {
+  profile = JSON.parse(open(PROFILE_PATH));
+} catch (error) {
+  throw new Error(`Cannot load environment profile "${PROFILE_PATH}": ${error}`);
+}
+
+// MENU_IDS replaces the profile's menu IDs in order, keeping names and prices
+function applyMenuIds(menu, menuIds) {
+  if (!menuIds) return menu;
+
+  return menuIds
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => id)
+    .map((menuId, index) => ({ ...menu[index % menu.length], menuId }));
+}
+
+export const config = {
+  env: TARGET_ENV,
+  baseUrl: (__ENV.BASE_URL || profile.baseUrl).replace(/\/+$/, ""),
+  customer: {
+    email: __ENV.CUSTOMER_EMAIL || profile.customer.email,
+    password: __ENV.CUSTOMER_PASSWORD || profile.customer.password,
+    userId: __ENV.CUSTOMER_USER_ID || profile.customer.userId,
+  },
+  staff: {
+    email: __ENV.STAFF_EMAIL || profile.staff.email,
+    password: __ENV.STAFF_PASSWORD || profile.staff.password,
+    userId: __ENV.STAFF_ID || profile.staff.userId,
+  },
+  restaurantId: __ENV.RESTAURANT_ID || profile.restaurantId,
+  menu: applyMenuIds(profile.menu, __ENV.MENU_IDS),
+};
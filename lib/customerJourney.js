@@ -0,0 +1,196 @@
+import { check } from "k6";
+import { Counter, Rate, Trend } from "k6/metrics";
+import { errors, json } from "./http.js";
+import * as restaurantApi from "./clients/restaurant.js";
+import * as groupOrdersApi from "./clients/groupOrders.js";
+import * as ordersApi from "./clients/orders.js";
+import { customerPool, getSession, invalidateSession, sessionUserId } from "./userPool.js";
+import { createFlow } from "./resilience.js";
+import { withRetry } from "./retry.js";
+import { idempotent, keyed, checkDuplicateOrders } from "./idempotency.js";
+import { createOrderGenerator } from "./orderGenerator.js";
+import { think } from "./pacing.js";
+import { tagged, recordCreated } from "./testData.js";
+import {
+  INVALID_PAYMENTS,
+  INVALID_PAYMENT_STATUS,
+  PAID_STATUS,
+  buildPayment,
+  buildInvalidPayment,
+  parsePaymentMix,
+  pickPaymentType,
+} from "./payments.js";
+
+// Customer persona: one order journey per iteration, from listing the
+// restaurants to the confirmed payment. customer.js runs it on its own,
+// mixed.js next to the restaurant staff.
+
+// Custom metrics: the order funnel, one stage after the other
+const restaurantsListed = new Counter("restaurants_listed");
+const ordersAttempted = new Counter("orders_attempted");
+const ordersCreated = new Counter("orders_created");
+const paymentsAttempted = new Counter("payments_attempted");
+const paymentsConfirmed = new Counter("payments_confirmed");
+// Conversion from one stage to the next, and over the whole journey
+const orderConversion = new Rate("order_conversion");
+const paymentConversion = new Rate("payment_conversion");
+const journeyConversion = new Rate("journey_conversion");
+// Time from listing restaurants to the confirmed payment, without think time
+const journeyTime = new Trend("journey_time", true);
+
+// Configuration
+const PAYMENT_MIX = parsePaymentMix();
+const PROMO_RATE = parseFloat(__ENV.PROMO_RATE || "0.1");
+const INVALID_PAYMENT_RATE = parseFloat(__ENV.INVALID_PAYMENT_RATE || "0");
+
+// Generates this VU's orders, reproducible with -e SEED=<n>
+const orderGenerator = createOrderGenerator();
+
+// One journey and the think time after it. Options:
+//   submit       submit the paid order to the restaurant's kitchen
+//   restaurants  keeps the restaurants to order from, e.g. those with staff
+export function customerIteration(data, journey = {}) {
+  // A revoked token makes the next iteration log in again
+  const flow = createFlow("customer_order", {
+    onUnauthorized: () => invalidateSession(customerPool),
+  });
+  const startedAt = Date.now();
+  // Think time within the journey is left out of journey_time
+  let thinking = 0;
+  const outcome = placeOrder(flow, data.run, (step) => {
+    thinking += think(step);
+  }, journey);
+  flow.done();
+
+  journeyTime.add(Date.now() - startedAt - thinking * 1000, { outcome });
+  // Journeys with a deliberately invalid payment never convert
+  if (outcome !== "invalid_payment") {
+    journeyConversion.add(outcome === "confirmed");
+  }
+
+  // Simulate user think time
+  think("afterOrder");
+}
+
+// Runs one customer journey, returns how it ended: "confirmed", "unconfirmed"
+// (paid but not reported as paid), "invalid_payment" or "failed".
+// Orders carry the `run`'s id; `pause(step)` waits the think time of a step.
+export function placeOrder(flow, run, pause, journey = {}) {
+  // Each VU orders as its own customer from the pool
+  let session;
+  try {
+    session = getSession(customerPool);
+  } catch (error) {
+    flow.fail("login", "login_failed");
+    return "failed";
+  }
+  // Logs in again and resends requests that come back 401
+  const token = session.auth;
+
+  // 1. Get all restaurants
+  const restaurants = withRetry("getRestaurants", (options) =>
+    restaurantApi.getRestaurants(token, options)
+  );
+  if (!flow.step("getRestaurants", restaurants)) {
+    return "failed";
+  }
+  restaurantsListed.add(1);
+
+  // The customer browses the menus before picking a basket
+  pause("browseRestaurants");
+
+  // 2. Create group food order from a randomly generated basket
+  const listed = json(restaurants.response, []);
+  const order = orderGenerator.next(
+    journey.restaurants ? listed.filter(journey.restaurants) : listed,
+    sessionUserId(session)
+  );
+  if (!order) {
+    console.error("No restaurant with a menu to order from");
+    errors.add(1);
+    flow.fail("createGroupOrder", "no_menu");
+    return "failed";
+  }
+
+  ordersAttempted.add(1);
+  const createOptions = idempotent();
+  const payload = keyed(tagged(run, order.payload), createOptions);
+
+  const created = withRetry("createGroupOrder", (options) =>
+    groupOrdersApi.createGroupOrder(token, payload, createOptions(options))
+  );
+  const orderData = flow.step("createGroupOrder", created) ? json(created.response) : null;
+  orderConversion.add(!!orderData);
+  if (!orderData) {
+    return "failed";
+  }
+  ordersCreated.add(1);
+  recordCreated("groupFoodOrder");
+  // A retry may have created the order twice
+  if (created.attempts > 1) {
+    checkDuplicateOrders(token, payload);
+  }
+
+  // The customer enters the payment details
+  pause("checkout");
+
+  // 3. Pay for the order. INVALID_PAYMENT_RATE of the payments are invalid
+  // and must be rejected; the rest use a payment type from PAYMENT_MIX.
+  const { random } = orderGenerator;
+  if (random.next() < INVALID_PAYMENT_RATE) {
+    const invalidCase = random.pick(INVALID_PAYMENTS);
+    const rejected = ordersApi.updatePayment(
+      token,
+      buildInvalidPayment(orderData.id, order.totalPrice, invalidCase),
+      {
+        label: "Invalid Payment",
+        expectedStatus: INVALID_PAYMENT_STATUS,
+        tags: { paymentType: "invalid" },
+      }
+    );
+    if (!flow.step("invalidPayment", rejected)) {
+      console.error(`Invalid payment not rejected (${invalidCase.name})`);
+    }
+    return "invalid_payment";
+  }
+
+  const paymentType = pickPaymentType(random, PAYMENT_MIX);
+  const paymentPayload = buildPayment(orderData.id, order.totalPrice, paymentType, {
+    isGetPromo: random.next() < PROMO_RATE,
+  });
+
+  paymentsAttempted.add(1, { paymentType });
+  const paymentOptions = idempotent({ tags: { paymentType } });
+  const payment = withRetry("updatePayment", (options) =>
+    ordersApi.updatePayment(token, paymentPayload, paymentOptions(options))
+  );
+  if (!flow.step("updatePayment", payment)) {
+    paymentConversion.add(false, { paymentType });
+    return "failed";
+  }
+  recordCreated("payment");
+
+  const status = withRetry("getOrder", (options) => ordersApi.getOrder(token, orderData.id, options));
+  const confirmed =
+    flow.step("getOrder", status) &&
+    check(status.response, {
+      "Order is paid": (r) => json(r, {}).paymentStatus === PAID_STATUS,
+    });
+
+  paymentConversion.add(confirmed, { paymentType });
+  if (!confirmed) {
+    return "unconfirmed";
+  }
+  paymentsConfirmed.add(1, { paymentType });
+
+  // 4. Hand the paid order to the kitchen
+  if (journey.submit) {
+    const submitted = withRetry("submitToRestaurant", (options) =>
+      groupOrdersApi.submitToRestaurant(token, orderData.groupFoodOrderId, options)
+    );
+    if (!flow.step("submitToRestaurant", submitted)) {
+      return "failed";
+    }
+  }
+  return "confirmed";
+}
@@ -0,0 +1,157 @@
+import http from "k6/http";
+import { check } from "k6";
+import { Rate, Counter } from "k6/metrics";
+import { config } from "./config.js";
+
+// Request core used by every API client.
+// Each request gets a stable `name` tag, the same set of checks and feeds
+// the shared error metrics.
+
+// Share of requests that failed their checks
+export const errors = new Rate("errors");
+// Failed requests, tagged with the request name and status
+export const requestErrors = new Counter("request_errors");
+// Tokens renewed after a 401, tagged with the request name
+export const authRefresh = new Counter("auth_refresh");
+// Requests still unauthorized, tagged with the request name and `reason`:
+// no_refresh (a plain token), refresh_failed (login failed) or rejected
+// (401 again with the new token)
+export const authFailure = new Counter("auth_failure");
+
+// Responses slower than this fail the response time check
+const MAX_DURATION_MS = 500;
+// Client timeout, lowered when injecting slow responses (k6 default 60s)
+const REQUEST_TIMEOUT = __ENV.REQUEST_TIMEOUT;
+
+// Most recent failed requests of this VU, for test reports
+const MAX_FAILED_REQUESTS = 10;
+const failedRequests = [];
+
+// Returns the failed requests since the last call and forgets them
+export function takeFailedRequests() {
+  return failedRequests.splice(0, failedRequests.length);
+}
+
+export function authHeaders(token, extra = {}) {
+  const headers = { "Content-Type": "application/json", ...extra };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  return headers;
+}
+
+// Sends a request to the gateway and checks it.
+//
+//   path            path below config.baseUrl
+//   options.name    stable tag, e.g. "createGroupOrder"
+//   options.label   human readable name used in check names, e.g. "Create Group Food Order"
+//   options.token   JWT sent as bearer token, or an auth source
+//                   { token, refresh() } such as a pool session's `auth`: on an
+//                   unexpected 401 it is refreshed and the request sent again once
+//   options.body    object sent as JSON
+//   options.headers extra request headers, e.g. an Idempotency-Key
+//   options.expectedStatus  status, or list of statuses, that counts as success (200)
+//   options.expectBody      also check for a non-empty body
+//   options.tags    extra tags for the request and its checks
+//
+// Returns { ok, response }, `ok` telling whether all checks passed.
+export function request(method, path, options = {}) {
+  const {
+    name,
+    label = name,
+    token,
+    body,
+    headers = {},
+    expectedStatus = 200,
+    expectBody = false,
+    tags = {},
+  } = options;
+
+  const expected = [].concat(expectedStatus);
+  const requestTags = { ...tags, name };
+  const auth = token && typeof token === "object" ? token : null;
+  const params = {
+    headers: authHeaders(auth ? auth.token : token, headers),
+    tags: requestTags,
+  };
+  if (REQUEST_TIMEOUT) {
+    params.timeout = REQUEST_TIMEOUT;
+  }
+  if (expected.length !== 1 || expected[0] !== 200) {
+    params.responseCallback = http.expectedStatuses(...expected);
+  }
+
+  const payload = body === undefined || body === null ? null : JSON.stringify(body);
+  const send = () => http.request(method, `${config.baseUrl}${path}`, payload, params);
+
+  let response = send();
+  if (response.status === 401 && expected.indexOf(401) === -1) {
+    response = reauthenticate(auth, response, params, send, name);
+  }
+
+  const checks = {
+    [`${label} status is ${expected.join(" or ")}`]: (r) => expected.indexOf(r.status) !== -1,
+    [`${label} response time < ${MAX_DURATION_MS}ms`]: (r) => r.timings.duration < MAX_DURATION_MS,
+  };
+  if (expectBody) {
+    checks[`${label} has valid response`] = (r) => !!r.body && r.body.length > 0;
+  }
+
+  const ok = check(response, checks, requestTags);
+  errors.add(!ok, requestTags);
+
+  if (!ok) {
+    requestErrors.add(1, { ...requestTags, status: String(response.status) });
+    failedRequests.push({
+      label,
+      status: response.status,
+      duration: response.timings.duration,
+      body: response.body,
+    });
+    if (failedRequests.length > MAX_FAILED_REQUESTS) {
+      failedRequests.shift();
+    }
+    console.error(`${label} failed:`, {
+      status: response.status,
+      body: response.body,
+      duration: response.timings.duration,
+    });
+  }
+
+  return { ok, response };
+}
+
+// Renews the token of an auth source after a 401 and resends the request
+function reauthenticate(auth, response, params, send, name) {
+  if (!auth || !auth.refresh) {
+    authFailure.add(1, { name, reason: "no_refresh" });
+    return response;
+  }
+
+  let token;
+  try {
+    token = auth.refresh();
+  } catch (error) {
+    console.error(`Cannot refresh the token for ${name}: ${error.message}`);
+    authFailure.add(1, { name, reason: "refresh_failed" });
+    return response;
+  }
+  authRefresh.add(1, { name });
+
+  params.headers = { ...params.headers, Authorization: `Bearer ${token}` };
+  const retried = send();
+  if (retried.status === 401) {
+    authFailure.add(1, { name, reason: "rejected" });
+  }
+  return retried;
+}
+
+// Parses a JSON body, returning `fallback` for empty or invalid bodies
+export function json(response, fallback = null) {
+  try {
+    const value = response.json();
+    return value === null || value === undefined ? fallback : value;
+  } catch (error) {
+    return fallback;
+  }
+}
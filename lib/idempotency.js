@@ -0,0 +1,60 @@
+import { check } from "k6";
+import { Counter } from "k6/metrics";
+import { uuidv4 } from 'https://jslib.k6.io/k6-utils/1.2.0/index.js';
+import { json } from "./http.js";
+import * as groupOrdersApi from "./clients/groupOrders.js";
+
+// Duplicate detection for retried writes.
+// A retry after a lost response (timeout, reset) can make the backend apply
+// the same write twice. Every attempt of one logical write carries the same
+// Idempotency-Key header, and retried order creations are checked for copies.
+// Order payloads carry the key as `idempotencyKey` too (the way they carry
+// the runId), so a copy is told apart from an identical basket ordered before.
+
+// Custom metrics
+export const duplicateOrders = new Counter("duplicate_orders");
+
+// Client options sending one Idempotency-Key for every attempt of a write;
+// the key itself is the function's `key`
+export function idempotent(options = {}) {
+  const key = uuidv4();
+  const withKey = (retryOptions = {}) => ({
+    ...options,
+    ...retryOptions,
+    headers: { ...(options.headers || {}), "Idempotency-Key": key },
+  });
+  withKey.key = key;
+  return withKey;
+}
+
+// Order payload carrying the Idempotency-Key of `withKey`
+export function keyed(payload, withKey) {
+  return { ...payload, idempotencyKey: withKey.key };
+}
+
+const sameOrder = (item, payload) =>
+  item.idempotencyKey === payload.idempotencyKey && item.runId === payload.runId;
+
+// Counts the order items of the keyed `payload` in its location; more than
+// one means a retried create was applied twice. Returns the count, or null
+// when the orders could not be listed or the backend keeps no idempotencyKey.
+export function checkDuplicateOrders(token, payload) {
+  const listed = groupOrdersApi.listGroupOrdersByLocation(token, payload.location);
+  if (!listed.ok) {
+    return null;
+  }
+
+  const items = json(listed.response, []);
+  if (!items.some((item) => item.idempotencyKey !== undefined && item.idempotencyKey !== null)) {
+    // Identical baskets could not be told apart from copies
+    console.warn("The backend keeps no idempotencyKey on orders, duplicates of a retried create are not counted");
+    return null;
+  }
+
+  const copies = items.filter((item) => sameOrder(item, payload)).length;
+  if (copies > 1) {
+    duplicateOrders.add(copies - 1, { name: "createGroupOrder" });
+  }
+  check(copies, { "Retried order created once": (count) => count <= 1 });
+  return copies;
+}
@@ -0,0 +1,127 @@
+// JUnit XML for the functional suites, built from the summary's group tree.
+// Every describe block (one per ctx.test) is a testcase, grouped into a
+// testsuite per enclosing group(). Tests outside any group, and checks made
+// outside tests (setup, teardown), go into a testsuite named after the script.
+//
+// A testcase fails when any of its checks failed; the failure element lists
+// the failed expectations and the requests noted by lib/testContext.js.
+// Tests the context skipped are marked as skipped.
+
+// Check name markers of the notes lib/testContext.js leaves in a test's
+// group: `<test> skipped because ...` and `<test> failed request: ...`
+export const SKIP_NOTE = "skipped because";
+export const REQUEST_NOTE = "failed request:";
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+
+// Every check of a group and its descendants
+function allChecks(group) {
+  return group.groups.reduce((checks, child) => checks.concat(allChecks(child)), group.checks);
+}
+
+function testcase(suite, group) {
+  const checks = allChecks(group);
+  const prefix = `${group.name} `;
+  const isNote = (marker) => (c) => c.name.indexOf(`${prefix}${marker}`) === 0;
+
+  const skipNote = checks.find(isNote(SKIP_NOTE));
+  const requests = checks.filter(isNote(REQUEST_NOTE)).map((c) => c.name.slice(prefix.length));
+  const failed = checks.filter((c) => c.fails > 0).map((c) => c.name);
+
+  const result = { name: group.name, suite, skipped: null, failure: null };
+  if (skipNote) {
+    result.skipped = skipNote.name.slice(prefix.length);
+  } else if (failed.length > 0) {
+    result.failure = {
+      message: failed[0],
+      details: [...failed.map((name) => `Failed: ${name}`), ...requests].join("\n"),
+    };
+  }
+  return result;
+}
+
+// A testcase for checks made directly in a group, outside any test
+function looseChecks(suite, name, checks) {
+  const failed = checks.filter((c) => c.fails > 0).map((c) => c.name);
+  return {
+    name,
+    suite,
+    skipped: null,
+    failure: failed.length > 0
+      ? { message: failed[0], details: failed.map((n) => `Failed: ${n}`).join("\n") }
+      : null,
+  };
+}
+
+export function collectTestcases(scriptName, rootGroup) {
+  const cases = [];
+
+  rootGroup.groups.forEach((group) => {
+    if (group.groups.length === 0) {
+      // A describe block outside any group()
+      cases.push(testcase(scriptName, group));
+      return;
+    }
+
+    group.groups.forEach((child) => cases.push(testcase(group.name, child)));
+    if (group.checks.length > 0) {
+      cases.push(looseChecks(group.name, `${group.name} checks`, group.checks));
+    }
+  });
+
+  if (rootGroup.checks.length > 0) {
+    cases.push(looseChecks(scriptName, "Setup and teardown", rootGroup.checks));
+  }
+  return cases;
+}
+
+function renderTestcase(c) {
+  const start = `    <testcase classname="${escapeXml(c.suite)}" name="${escapeXml(c.name)}"`;
+  if (c.skipped) {
+    return `${start}>\n      <skipped message="${escapeXml(c.skipped)}"/>\n    </testcase>`;
+  }
+  if (c.failure) {
+    return `${start}>
+      <failure message="${escapeXml(c.failure.message)}" type="AssertionError">${escapeXml(c.failure.details)}</failure>
+    </testcase>`;
+  }
+  return `${start}/>`;
+}
+
+const count = (cases) => ({
+  tests: cases.length,
+  failures: cases.filter((c) => c.failure).length,
+  skipped: cases.filter((c) => c.skipped).length,
+});
+
+export function buildJUnit(scriptName, data) {
+  const cases = collectTestcases(scriptName, data.root_group);
+  const suites = [];
+  cases.forEach((c) => {
+    if (suites.indexOf(c.suite) === -1) suites.push(c.suite);
+  });
+
+  const totals = count(cases);
+  const time = (data.state.testRunDurationMs / 1000).toFixed(3);
+
+  const body = suites.map((suite) => {
+    const suiteCases = cases.filter((c) => c.suite === suite);
+    const { tests, failures, skipped } = count(suiteCases);
+    return `  <testsuite name="${escapeXml(suite)}" tests="${tests}" failures="${failures}" errors="0" skipped="${skipped}">
+${suiteCases.map(renderTestcase).join("\n")}
+  </testsuite>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(scriptName)}" tests="${totals.tests}" failures="${totals.failures}" errors="0" skipped="${totals.skipped}" time="${time}">
+${body.join("\n")}
+</testsuites>
+`;
+}
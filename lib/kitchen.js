@@ -0,0 +1,156 @@
+import { sample, scaled, validateSpec } from "./pacing.js";
+import { SUBMITTED, PREPARING } from "./orderStates.js";
+
+// Kitchen model for the restaurant staff simulation.
+// Kitchens come from data/kitchens.json (KITCHENS_FILE to use another file),
+// keyed on restaurantId; restaurants without an entry use "defaults":
+//
+//   "maxConcurrent"  group orders the kitchen prepares at once
+//   "pollInterval"   seconds between two looks at the order list
+//   "staleAfter"     seconds after which a preparing order nobody finishes is taken over
+//   "prepTime"       prep time for menu items without their own entry
+//   "prepTimes"      prep time per menuId
+//
+// Prep times are lib/pacing.js distributions in seconds ({ min, max } is
+// uniform); they and the poll interval follow the time scale.
+//
+// Staff work like a kitchen display: accept submitted orders, oldest first,
+// while fewer than maxConcurrent are being prepared, and mark each order
+// ready once its prep time has passed. Items are cooked side by side, so an
+// order takes as long as its slowest item.
+
+const KITCHENS_PATH = __ENV.KITCHENS_FILE || "../data/kitchens.json";
+
+let fixture;
+try {
+  fixture = JSON.parse(open(KITCHENS_PATH));
+} catch (error) {
+  throw new Error(`Cannot load kitchens "${KITCHENS_PATH}": ${error}`);
+}
+
+validateSpec(fixture.defaults.prepTime, `${KITCHENS_PATH} defaults`);
+Object.keys(fixture.kitchens).forEach((restaurantId) => {
+  const prepTimes = fixture.kitchens[restaurantId].prepTimes || {};
+  Object.keys(prepTimes).forEach((menuId) =>
+    validateSpec(prepTimes[menuId], `${KITCHENS_PATH} kitchen ${restaurantId} menu item ${menuId}`)
+  );
+});
+
+export { SUBMITTED, PREPARING };
+
+export function kitchenFor(restaurantId) {
+  return {
+    restaurantId,
+    prepTimes: {},
+    ...fixture.defaults,
+    ...fixture.kitchens[restaurantId],
+  };
+}
+
+// Seconds to prepare a group order from its order items, before time scaling
+export function prepSeconds(kitchen, items) {
+  let longest = 0;
+  items.forEach((item) => {
+    let details = [];
+    try {
+      details = JSON.parse(item.orderDetails);
+    } catch (error) {
+      // Unreadable details are prepared in the default time
+    }
+    if (!Array.isArray(details) || details.length === 0) {
+      details = [{}];
+    }
+    details.forEach((detail) => {
+      longest = Math.max(longest, sample(kitchen.prepTimes[detail.menuId] || kitchen.prepTime));
+    });
+  });
+  return longest;
+}
+
+// The staff order list has one entry per order item; returns the group
+// orders in `status`, oldest first, as { groupFoodOrderId, items }
+export function groupOrders(orders, status) {
+  const byId = {};
+  const groups = [];
+  orders
+    .filter((order) => order.orderStatus === status)
+    .forEach((order) => {
+      let group = byId[order.groupFoodOrderId];
+      if (!group) {
+        group = byId[order.groupFoodOrderId] = {
+          groupFoodOrderId: order.groupFoodOrderId,
+          createdTime: String(order.createdTime || ""),
+          items: [],
+        };
+        groups.push(group);
+      }
+      group.items.push(order);
+    });
+  return groups.sort((a, b) => a.createdTime.localeCompare(b.createdTime));
+}
+
+// Per-VU state of one staff member working in `kitchen`
+export function createKitchen(kitchen) {
+  // groupFoodOrderId -> time (ms) the order is done, for orders this VU accepted
+  const cooking = {};
+  // groupFoodOrderId -> time (ms) this VU first saw the order in its status
+  const seenSince = {};
+
+  const forget = (state, ids) => {
+    Object.keys(state).forEach((id) => {
+      if (!ids[id]) delete state[id];
+    });
+  };
+
+  return {
+    kitchen,
+
+    // Decides what to do with the listed orders:
+    //   waiting    submitted group orders, oldest first
+    //   preparing  group orders in the kitchen, whoever accepted them
+    //   ready      preparing orders whose prep time has passed
+    //   accept     waiting orders that fit in the kitchen now
+    plan(orders, now = Date.now()) {
+      const waiting = groupOrders(orders, SUBMITTED);
+      const preparing = groupOrders(orders, PREPARING);
+
+      const listed = {};
+      waiting.concat(preparing).forEach((group) => {
+        listed[group.groupFoodOrderId] = true;
+        if (!seenSince[group.groupFoodOrderId]) {
+          seenSince[group.groupFoodOrderId] = now;
+        }
+      });
+      // Orders that moved on, or that another staff member finished
+      forget(cooking, listed);
+      forget(seenSince, listed);
+
+      const staleMs = kitchen.staleAfter * 1000;
+      const ready = preparing.filter(({ groupFoodOrderId: id }) =>
+        cooking[id] !== undefined
+          ? cooking[id] <= now
+          // Left behind by a staff member who stopped, e.g. an earlier run
+          : now - seenSince[id] >= staleMs
+      );
+
+      // Orders marked ready on this poll free their place
+      const free = Math.max(0, kitchen.maxConcurrent - preparing.length + ready.length);
+      return { waiting, preparing, accept: waiting.slice(0, free), ready };
+    },
+
+    // Starts cooking an accepted order; returns how long (ms) it waited
+    // for the kitchen since this VU first saw it
+    started(group, now = Date.now()) {
+      const id = group.groupFoodOrderId;
+      const waited = now - (seenSince[id] || now);
+      cooking[id] = now + scaled(prepSeconds(kitchen, group.items)) * 1000;
+      seenSince[id] = now;
+      return waited;
+    },
+
+    finished(group) {
+      delete cooking[group.groupFoodOrderId];
+      delete seenSince[group.groupFoodOrderId];
+    },
+  };
+}
@@ -0,0 +1,167 @@
+import { SharedArray } from "k6/data";
+import { config } from "./config.js";
+
+// Data-driven group food order payloads.
+// Picks a restaurant from the /restaurant-service/restaurants/all response,
+// 1..MAX_ORDER_ITEMS of its menu items with quantities, and a delivery address
+// from the Singapore catalogue. Set SEED to make the sequence reproducible;
+// each VU derives its own stream from it.
+
+const MAX_ORDER_ITEMS = parseInt(__ENV.MAX_ORDER_ITEMS || "3", 10);
+const MAX_ITEM_QUANTITY = parseInt(__ENV.MAX_ITEM_QUANTITY || "3", 10);
+const DELIVERY_FEE = 5;
+
+const addresses = new SharedArray("sg_addresses", () =>
+  JSON.parse(open(__ENV.ADDRESS_FILE || "../data/sg_addresses.json"))
+);
+
+// Distinct locations of the address catalogue
+export function deliveryLocations() {
+  const locations = [];
+  for (const address of addresses) {
+    if (locations.indexOf(address.location) === -1) locations.push(address.location);
+  }
+  return locations;
+}
+
+// mulberry32: small, fast and good enough for picking test data
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (items) => items[int(0, items.length - 1)];
+
+  // Partial Fisher-Yates shuffle, returns `count` distinct items
+  const sample = (items, count) => {
+    const copy = Array.from(items);
+    const n = Math.min(count, copy.length);
+    for (let i = 0; i < n; i++) {
+      const j = int(i, copy.length - 1);
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy.slice(0, n);
+  };
+
+  return { next, int, pick, sample };
+}
+
+function vuSeed(seed) {
+  if (seed === undefined || seed === "") {
+    return Math.floor(Math.random() * 4294967296);
+  }
+  // Spread VUs apart so they don't all generate the same orders
+  return (parseInt(seed, 10) + __VU * 2654435761) >>> 0;
+}
+
+function normalizeMenuItem(item) {
+  return {
+    menuId: item.menuId || item._id || item.id,
+    menuImageURL: item.menuImageURL || item.imageURL || "",
+    name: item.name,
+    price: Number(item.price),
+  };
+}
+
+// Restaurants that have a usable menu. Menus embedded in the restaurant
+// response are used when present, otherwise the environment profile's menu
+// covers the profile restaurant.
+export function orderableRestaurants(restaurants) {
+  return restaurants
+    .map((restaurant) => {
+      const restaurantId = restaurant._id || restaurant.id;
+      const embedded = restaurant.menu || restaurant.menus || restaurant.menuItems;
+      const menu = Array.isArray(embedded) && embedded.length > 0
+        ? embedded.map(normalizeMenuItem)
+        : restaurantId === config.restaurantId ? config.menu : [];
+
+      return {
+        restaurantId,
+        menu: menu.filter((item) => item.menuId && !isNaN(item.price)),
+      };
+    })
+    .filter((restaurant) => restaurant.menu.length > 0);
+}
+
+export function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Sum of the ordered items, which is what the payment step charges
+export function orderTotal(orderDetails) {
+  return roundPrice(
+    orderDetails.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  );
+}
+
+export function createOrderGenerator(seed = __ENV.SEED) {
+  const random = createRandom(vuSeed(seed));
+
+  const pickItems = (menu) =>
+    random
+      .sample(menu, random.int(1, MAX_ORDER_ITEMS))
+      .map((item) => ({ ...item, quantity: random.int(1, MAX_ITEM_QUANTITY) }));
+
+  const build = (restaurantId, userId, orderDetails, delivery, groupFoodOrderId = null) => ({
+    payload: {
+      id: null,
+      groupFoodOrderId,
+      restaurantId,
+      userId,
+      createdTime: null,
+      orderDetails: JSON.stringify(orderDetails),
+      location: delivery.location,
+      deliveryAddress: delivery.deliveryAddress,
+      deliveryLatitude: delivery.deliveryLatitude,
+      deliveryLongitude: delivery.deliveryLongitude,
+      deliveryFee: DELIVERY_FEE,
+    },
+    totalPrice: orderTotal(orderDetails),
+  });
+
+  return {
+    random,
+
+    // New group order, optionally delivered within `location`.
+    // Returns { payload, totalPrice }, or null when no restaurant has a menu.
+    next(restaurants, userId, location) {
+      const candidates = orderableRestaurants(restaurants);
+      if (candidates.length === 0) return null;
+
+      const restaurant = random.pick(candidates);
+      // SharedArray only supports length, indexing and for-of
+      const delivery = [];
+      for (const address of addresses) {
+        if (!location || address.location === location) delivery.push(address);
+      }
+      if (delivery.length === 0) {
+        throw new Error(`No delivery address for location "${location}"`);
+      }
+      return build(restaurant.restaurantId, userId, pickItems(restaurant.menu), random.pick(delivery));
+    },
+
+    // Items added to an existing group order, delivered to the host's address.
+    // Returns null when the group order's restaurant has no known menu.
+    join(restaurants, userId, groupOrder) {
+      const restaurant = orderableRestaurants(restaurants).find(
+        (candidate) => candidate.restaurantId === groupOrder.restaurantId
+      );
+      if (!restaurant) return null;
+
+      return build(
+        restaurant.restaurantId,
+        userId,
+        pickItems(restaurant.menu),
+        groupOrder,
+        groupOrder.groupFoodOrderId
+      );
+    },
+  };
+}
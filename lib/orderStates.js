@@ -0,0 +1,85 @@
+// State machine of a group food order, as the groupFoodOrdersAPI enforces it.
+// An order moves CREATED -> SUBMITTED_TO_RESTAURANT -> KITCHEN_PREPARING ->
+// READY_FOR_DELIVERY, one transition request per step. A transition on an
+// order in any other status is rejected with 409 and leaves the status as it
+// was; one on an unknown groupFoodOrderId with 404.
+//
+// The backend only takes fully paid orders into the restaurant: submitting an
+// unpaid order is rejected with 409 as well. REQUIRE_PAYMENT=false models a
+// backend without that rule (the mock with MOCK_REQUIRE_PAYMENT=off).
+
+export const CREATED = "CREATED";
+export const SUBMITTED = "SUBMITTED_TO_RESTAURANT";
+export const PREPARING = "KITCHEN_PREPARING";
+export const READY = "READY_FOR_DELIVERY";
+
+export const STATUSES = [CREATED, SUBMITTED, PREPARING, READY];
+
+export const CONFLICT = 409;
+export const NOT_FOUND = 404;
+
+// Transitions keyed on the request `name` tag, with the persona that sends them
+export const TRANSITIONS = {
+  submitToRestaurant: { from: CREATED, to: SUBMITTED, role: "customer", needsPayment: true },
+  kitchenPreparing: { from: SUBMITTED, to: PREPARING, role: "staff" },
+  readyForDelivery: { from: PREPARING, to: READY, role: "staff" },
+};
+
+export const DEFAULT_RULES = { requirePayment: __ENV.REQUIRE_PAYMENT !== "false" };
+
+// What `transition` does to an order in `state` ({ status, paid }, null for an
+// unknown order): { code, status } with the response status and the order
+// status afterwards
+export function expectedOutcome(transition, state, rules = DEFAULT_RULES) {
+  const { from, to, needsPayment } = TRANSITIONS[transition];
+  if (!state) {
+    return { code: NOT_FOUND, status: null };
+  }
+  if (state.status !== from || (needsPayment && rules.requirePayment && !state.paid)) {
+    return { code: CONFLICT, status: state.status };
+  }
+  return { code: 200, status: to };
+}
+
+// Transitions that take a new order to `status`, in order
+export function pathTo(status) {
+  return Object.keys(TRANSITIONS).filter(
+    (transition) => STATUSES.indexOf(TRANSITIONS[transition].to) <= STATUSES.indexOf(status)
+  );
+}
+
+// Whether an order can be brought into `state` through the API
+export function reachable(state, rules = DEFAULT_RULES) {
+  return pathTo(state.status).every(
+    (transition) =>
+      expectedOutcome(transition, { ...state, status: TRANSITIONS[transition].from }, rules).code === 200
+  );
+}
+
+const describeState = (state) =>
+  state ? `${state.paid ? "a paid" : "an unpaid"} ${state.status} order` : "an unknown order";
+
+// One case per transition on every reachable state, paid and unpaid, and on
+// an unknown order: { name, transition, state, expected }
+export function transitionCases(rules = DEFAULT_RULES) {
+  const states = [];
+  [true, false].forEach((paid) => {
+    STATUSES.forEach((status) => {
+      if (reachable({ status, paid }, rules)) states.push({ status, paid });
+    });
+  });
+  states.push(null);
+
+  const cases = [];
+  states.forEach((state) => {
+    Object.keys(TRANSITIONS).forEach((transition) => {
+      cases.push({
+        name: `${transition} on ${describeState(state)}`,
+        transition,
+        state,
+        expected: expectedOutcome(transition, state, rules),
+      });
+    });
+  });
+  return cases;
+}
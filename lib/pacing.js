@@ -0,0 +1,141 @@
+import { sleep } from "k6";
+import exec from "k6/execution";
+
+// Think times and pacing shared by all scripts.
+// Steps come from config/pacing.json (PACING_FILE to use another file), each a
+// distribution in seconds with optional `min` / `max` bounds:
+//
+//   { "distribution": "uniform", "min": 1, "max": 4 }
+//   { "distribution": "normal", "mean": 15, "stddev": 5 }
+//   { "distribution": "lognormal", "median": 8, "sigma": 0.6 }
+//   { "distribution": "exponential", "mean": 3 }
+//   { "distribution": "constant", "value": 1 }
+//
+// Every wait is multiplied by the time scale: TIME_SCALE when set, otherwise
+// the running profile's entry in "timeScale" (or its "default"), so smoke runs
+// compress a journey and soak runs keep it realistic.
+
+const PACING_PATH = __ENV.PACING_FILE || "../config/pacing.json";
+
+let pacing;
+try {
+  pacing = JSON.parse(open(PACING_PATH));
+} catch (error) {
+  throw new Error(`Cannot load pacing file "${PACING_PATH}": ${error}`);
+}
+
+// Box-Muller: a standard normal sample from two uniform ones
+function gaussian(random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+const DISTRIBUTIONS = {
+  uniform: (spec, random) => spec.min + random() * (spec.max - spec.min),
+  normal: (spec, random) => spec.mean + spec.stddev * gaussian(random),
+  lognormal: (spec, random) => spec.median * Math.exp(spec.sigma * gaussian(random)),
+  exponential: (spec, random) => -spec.mean * Math.log(1 - random()),
+  constant: (spec) => spec.value,
+};
+
+// Parameters each distribution needs
+const PARAMETERS = {
+  uniform: ["min", "max"],
+  normal: ["mean", "stddev"],
+  lognormal: ["median", "sigma"],
+  exponential: ["mean"],
+  constant: ["value"],
+};
+
+// Throws on a spec that cannot be sampled; `distribution` defaults to uniform
+export function validateSpec(spec, where) {
+  const distribution = spec.distribution || "uniform";
+  if (!PARAMETERS[distribution]) {
+    throw new Error(
+      `Unknown distribution "${distribution}" in ${where}. Use one of: ${Object.keys(PARAMETERS).join(", ")}`
+    );
+  }
+  const missing = PARAMETERS[distribution].filter((key) => typeof spec[key] !== "number");
+  if (missing.length > 0) {
+    throw new Error(`Distribution "${distribution}" in ${where} needs ${missing.join(", ")}`);
+  }
+  return spec;
+}
+
+Object.keys(pacing.steps).forEach((step) => validateSpec(pacing.steps[step], `${PACING_PATH} step "${step}"`));
+
+// Draws seconds from a spec, kept within its min / max and never negative
+export function sample(spec, random = Math.random) {
+  const value = DISTRIBUTIONS[spec.distribution || "uniform"](spec, random);
+  const lower = spec.min === undefined ? 0 : spec.min;
+  const upper = spec.max === undefined ? Infinity : spec.max;
+  return Math.min(Math.max(value, lower, 0), upper);
+}
+
+// Mean of each distribution before the min / max bounds
+const MEANS = {
+  uniform: (spec) => (spec.min + spec.max) / 2,
+  normal: (spec) => spec.mean,
+  lognormal: (spec) => spec.median * Math.exp((spec.sigma * spec.sigma) / 2),
+  exponential: (spec) => spec.mean,
+  constant: (spec) => spec.value,
+};
+
+// Approximate expected seconds of a spec: its mean kept within min / max
+export function expectedSeconds(spec) {
+  const value = MEANS[spec.distribution || "uniform"](spec);
+  const lower = spec.min === undefined ? 0 : spec.min;
+  const upper = spec.max === undefined ? Infinity : spec.max;
+  return Math.min(Math.max(value, lower, 0), upper);
+}
+
+// Scenario keys are `<profile>_test`, or `<profile>_test_<persona>` in
+// mixed runs, see lib/scenarios.js
+function profileName() {
+  try {
+    return exec.scenario.name.replace(/_test(_\w+)?$/, "");
+  } catch (error) {
+    // setup() and teardown() run outside any scenario
+    return "default";
+  }
+}
+
+// Time scale of a profile, the running one by default
+export function timeScale(profile = profileName()) {
+  if (__ENV.TIME_SCALE) {
+    return parseFloat(__ENV.TIME_SCALE);
+  }
+  const scales = { default: 1, ...pacing.timeScale };
+  const scale = scales[profile];
+  return scale === undefined ? scales.default : scale;
+}
+
+// Seconds scaled to the running profile
+export function scaled(seconds) {
+  return seconds * timeScale();
+}
+
+const specFor = (step) => pacing.steps[step] || pacing.steps.default;
+
+// Expected scaled think time of a sequence of steps in `profile`, e.g. to size
+// the VU pools of lib/scenarios.js
+export function expectedThinkTime(steps, profile) {
+  const seconds = steps.reduce((sum, step) => sum + (specFor(step) ? expectedSeconds(specFor(step)) : 0), 0);
+  return seconds * timeScale(profile);
+}
+
+// Scaled think time for a step; steps without an entry use "default"
+export function thinkTime(step) {
+  const spec = specFor(step);
+  if (!spec) {
+    throw new Error(`No think time for step "${step}" in ${PACING_PATH}`);
+  }
+  return scaled(sample(spec));
+}
+
+// Sleeps the think time of a step and returns the seconds slept
+export function think(step) {
+  const seconds = thinkTime(step);
+  sleep(seconds);
+  return seconds;
+}
@@ -0,0 +1,122 @@
+// Payment payloads for /order-service/UpdatePaymentStatusAPI/updatePayment.
+// Covers every payment type, the promo flag and a catalogue of invalid
+// inputs the backend is expected to reject.
+
+export const PAYMENT_TYPES = ["payNow", "payLah", "creditCard"];
+
+// Status reported by /order-service/orders/{id} once a payment went through
+export const PAID_STATUS = __ENV.PAID_STATUS || "PAID";
+export const PENDING_STATUS = "PENDING";
+
+// MM/YY expiry of a card that stays valid: December of next year
+const VALID_EXPIRY = `12/${String((new Date().getFullYear() + 1) % 100).padStart(2, "0")}`;
+
+// Valid test details per payment type
+export const PAYMENT_DETAILS = {
+  payNow: { payNowMobileNumber: "92325933" },
+  payLah: { payLahMobileNumber: "91234567" },
+  creditCard: { creditCardNumber: "4111111111111111", expiryDate: VALID_EXPIRY, cvv: "123" },
+};
+
+export function buildPayment(orderItemId, totalPrice, paymentType, overrides = {}) {
+  return {
+    orderItemId,
+    paymentStatus: PENDING_STATUS,
+    isGroupFoodOrder: true,
+    isGetPromo: false,
+    totalPrice,
+    forShow: false,
+    paymentType,
+    creditCardNumber: "",
+    expiryDate: "",
+    cvv: "",
+    payNowMobileNumber: "",
+    payLahMobileNumber: "",
+    ...(PAYMENT_DETAILS[paymentType] || {}),
+    ...overrides,
+  };
+}
+
+// Status the backend answers invalid payments with
+export const INVALID_PAYMENT_STATUS = 400;
+
+// Payments that must be rejected and leave the order unpaid.
+// `totalOffset` is added to the order's real total.
+export const INVALID_PAYMENTS = [
+  {
+    name: "credit card number fails Luhn check",
+    paymentType: "creditCard",
+    overrides: { creditCardNumber: "4111111111111112" },
+  },
+  {
+    name: "credit card number too short",
+    paymentType: "creditCard",
+    overrides: { creditCardNumber: "411111" },
+  },
+  {
+    name: "expired credit card",
+    paymentType: "creditCard",
+    overrides: { expiryDate: "01/20" },
+  },
+  {
+    name: "malformed expiry date",
+    paymentType: "creditCard",
+    overrides: { expiryDate: "2030-12" },
+  },
+  {
+    name: "CVV too short",
+    paymentType: "creditCard",
+    overrides: { cvv: "12" },
+  },
+  {
+    name: "PayNow number is not a Singapore mobile",
+    paymentType: "payNow",
+    overrides: { payNowMobileNumber: "61234567" },
+  },
+  {
+    name: "PayLah number has wrong length",
+    paymentType: "payLah",
+    overrides: { payLahMobileNumber: "9123456" },
+  },
+  {
+    name: "total higher than the order",
+    paymentType: "payNow",
+    totalOffset: 10,
+  },
+  {
+    name: "total lower than the order",
+    paymentType: "payNow",
+    totalOffset: -1,
+  },
+  {
+    name: "unknown payment type",
+    paymentType: "bitcoin",
+  },
+];
+
+export function buildInvalidPayment(orderItemId, totalPrice, invalidCase) {
+  const total = Math.round((totalPrice + (invalidCase.totalOffset || 0)) * 100) / 100;
+  return buildPayment(orderItemId, total, invalidCase.paymentType, invalidCase.overrides);
+}
+
+// Parses "payNow:60,payLah:25,creditCard:15" into [{ paymentType, weight }]
+export function parsePaymentMix(mix = __ENV.PAYMENT_MIX || "payNow:60,payLah:25,creditCard:15") {
+  return mix.split(",").map((entry) => {
+    const [paymentType, weight] = entry.split(":").map((part) => part.trim());
+    if (PAYMENT_TYPES.indexOf(paymentType) === -1) {
+      throw new Error(`Unknown payment type "${paymentType}" in PAYMENT_MIX`);
+    }
+    return { paymentType, weight: parseFloat(weight || "1") };
+  });
+}
+
+// Weighted pick using a random source from createRandom()
+export function pickPaymentType(random, mix) {
+  const total = mix.reduce((sum, entry) => sum + entry.weight, 0);
+  let roll = random.next() * total;
+  for (const entry of mix) {
+    roll -= entry.weight;
+    if (roll < 0) return entry.paymentType;
+  }
+  return mix[mix.length - 1].paymentType;
+}
@@ -0,0 +1,78 @@
+import { Counter, Rate, Trend } from "k6/metrics";
+
+// Resilience metrics for the load test flows.
+// Failed steps are counted by cause, and the time between a step's first
+// failure and its next success is recorded as the time to recovery, so a run
+// against a degraded backend (see mock/chaos/) shows how well the flows cope.
+
+// Custom metrics
+export const flowFailures = new Counter("flow_failures");
+export const flowCompleted = new Rate("flow_completed");
+export const timeToRecovery = new Trend("time_to_recovery", true);
+
+// When each "flow step" of this VU started failing
+const failingSince = {};
+
+export function failureCause(response) {
+  if (!response) return "unknown";
+  if (response.status === 0) {
+    const error = (response.error || "").toLowerCase();
+    if (error.indexOf("timeout") !== -1) return "timeout";
+    if (error.indexOf("reset") !== -1 || error.indexOf("eof") !== -1) return "reset";
+    return "network";
+  }
+  if (response.status === 401) return "unauthorized";
+  if (response.status >= 500) return "server_error";
+  if (response.status >= 400) return "client_error";
+  return "unexpected_status";
+}
+
+// Tracks one iteration of a flow.
+//
+//   options.onUnauthorized  called when a step failed with 401, e.g. to drop
+//                           the session so the next iteration logs in again
+export function createFlow(name, options = {}) {
+  let failed = false;
+  let finished = false;
+
+  const flow = {
+    // Records a failed step; `cause` as returned by failureCause()
+    fail(step, cause) {
+      failed = true;
+      flowFailures.add(1, { flow: name, step, cause });
+
+      const key = `${name} ${step}`;
+      if (!failingSince[key]) {
+        failingSince[key] = Date.now();
+      }
+      if (cause === "unauthorized" && options.onUnauthorized) {
+        options.onUnauthorized();
+      }
+    },
+
+    // Records a client request's { ok, response } result, returns `ok`
+    step(step, result) {
+      if (!result.ok) {
+        flow.fail(step, failureCause(result.response));
+        return false;
+      }
+
+      const key = `${name} ${step}`;
+      if (failingSince[key]) {
+        timeToRecovery.add(Date.now() - failingSince[key], { flow: name, step });
+        delete failingSince[key];
+      }
+      return true;
+    },
+
+    // Ends the iteration; it completed when no step failed
+    done() {
+      if (!finished) {
+        finished = true;
+        flowCompleted.add(!failed, { flow: name });
+      }
+    },
+  };
+
+  return flow;
+}
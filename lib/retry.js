@@ -0,0 +1,96 @@
+import { sleep } from "k6";
+import { Counter, Rate } from "k6/metrics";
+
+// Retries with backoff, the way real clients call the API.
+// Policies come from config/retry_policies.json (RETRY_POLICY_FILE to use
+// another file) and are keyed on the request `name` tags; endpoints without
+// a policy use "default". RETRY=off sends every request once.
+
+const POLICY_PATH = __ENV.RETRY_POLICY_FILE || "../config/retry_policies.json";
+const RETRY_ENABLED = __ENV.RETRY !== "off";
+
+let policies;
+try {
+  policies = JSON.parse(open(POLICY_PATH));
+} catch (error) {
+  throw new Error(`Cannot load retry policies "${POLICY_PATH}": ${error}`);
+}
+
+// Custom metrics
+export const retriesTotal = new Counter("retries_total");
+export const retrySuccessRate = new Rate("retry_success_rate");
+
+const DEFAULT_POLICY = {
+  attempts: 1,
+  backoff: "exponential",
+  baseMs: 200,
+  maxMs: 5000,
+  jitter: true,
+  // 0 is a request that got no response: timeout, reset or refused
+  retryOn: [0, 502, 503, 504],
+  acceptOnRetry: [],
+};
+
+export function retryPolicy(name) {
+  return { ...DEFAULT_POLICY, ...policies.default, ...policies[name] };
+}
+
+// Wait before the `retry`-th retry (1-based), in milliseconds
+export function backoffDelay(policy, retry) {
+  let ms;
+  switch (policy.backoff) {
+    case "constant":
+      ms = policy.baseMs;
+      break;
+    case "linear":
+      ms = policy.baseMs * retry;
+      break;
+    case "exponential":
+      ms = policy.baseMs * Math.pow(2, retry - 1);
+      break;
+    default:
+      throw new Error(`Unknown backoff "${policy.backoff}"`);
+  }
+
+  ms = Math.min(ms, policy.maxMs);
+  // Jitter keeps retrying VUs from hitting the backend in lockstep
+  return policy.jitter ? ms / 2 + (Math.random() * ms) / 2 : ms;
+}
+
+// Calls `send(options)` until it succeeds, fails with a status outside the
+// endpoint's `retryOn` list or runs out of attempts. `send` gets client options
+// to pass on: on retries, the `acceptOnRetry` statuses also count as success,
+// e.g. a 409 telling that a previous attempt whose response was lost went through.
+//
+//   const result = withRetry("updatePayment", (options) =>
+//     ordersApi.updatePayment(token, payload, options));
+//
+// Returns the last { ok, response } with the number of `attempts`.
+export function withRetry(name, send) {
+  const policy = retryPolicy(name);
+  const maxAttempts = RETRY_ENABLED ? policy.attempts : 1;
+
+  let result = send({});
+  let attempts = 1;
+
+  while (
+    !result.ok &&
+    attempts < maxAttempts &&
+    policy.retryOn.indexOf(result.response.status) !== -1
+  ) {
+    sleep(backoffDelay(policy, attempts) / 1000);
+    attempts++;
+    retriesTotal.add(1, { name });
+
+    const retryOptions = {};
+    if (policy.acceptOnRetry.length > 0) {
+      retryOptions.expectedStatus = [200, ...policy.acceptOnRetry];
+    }
+    result = send(retryOptions);
+  }
+
+  if (attempts > 1) {
+    retrySuccessRate.add(result.ok, { name });
+  }
+  return { ...result, attempts };
+}
@@ -0,0 +1,273 @@
+import { expectedThinkTime } from "./pacing.js";
+
+// Scenario profile catalogue shared by the load test scripts.
+// A run executes exactly one profile, picked with -e SCENARIO=<name>.
+// SCENARIO=all chains every profile one after another.
+
+// Peak iterations per second of the arrival-rate (open model) profiles; by
+// default the highest rate the profile's VU pool can hold
+const TARGET_RATE = __ENV.TARGET_RATE ? parseFloat(__ENV.TARGET_RATE) : null;
+// Think time steps of one customer journey, see lib/customerJourney.js
+const JOURNEY_STEPS = ["browseRestaurants", "checkout", "afterOrder"];
+// Time the journey's requests take on top of its think time
+const REQUEST_SECONDS = parseFloat(__ENV.REQUEST_SECONDS || "2");
+// Most VUs an arrival-rate profile gets unless MAX_VUS is set
+const VU_LIMIT = 10000;
+const MAX_VUS = __ENV.MAX_VUS ? parseInt(__ENV.MAX_VUS, 10) : null;
+
+// Expected length of one iteration in seconds: ITERATION_SECONDS, or the
+// journey's think time in the profile (config/pacing.json) plus its requests
+function iterationSeconds(profile) {
+  return __ENV.ITERATION_SECONDS
+    ? parseFloat(__ENV.ITERATION_SECONDS)
+    : expectedThinkTime(JOURNEY_STEPS, profile) + REQUEST_SECONDS;
+}
+
+// TARGET_RATE, or the highest rate MAX_VUS (VU_LIMIT) VUs hold in `profile`
+function targetRate(profile) {
+  if (TARGET_RATE !== null) return TARGET_RATE;
+  return Math.max(1, Math.floor((MAX_VUS || VU_LIMIT) / iterationSeconds(profile)));
+}
+
+// Profiles whose pool cannot hold their peak rate, with the reason;
+// buildScenarios() refuses to run them instead of dropping iterations
+const UNREACHABLE = {};
+
+// VUs needed to hold `peakRate` in `profile` (Little's law), at most
+// VU_LIMIT, half of them allocated up front. MAX_VUS and PREALLOCATED_VUS
+// override them.
+function vuPool(profile, peakRate) {
+  const seconds = iterationSeconds(profile);
+  const needed = Math.ceil(peakRate * seconds);
+  const maxVUs = MAX_VUS || Math.min(needed, VU_LIMIT);
+  if (needed > maxVUs) {
+    UNREACHABLE[profile] =
+      `SCENARIO=${profile}: TARGET_RATE ${peakRate}/s needs ${needed} VUs at ${seconds.toFixed(1)}s per iteration, ` +
+      `the pool holds ${maxVUs}. Lower TARGET_RATE or raise MAX_VUS`;
+  }
+  const preAllocatedVUs = __ENV.PREALLOCATED_VUS
+    ? Math.min(parseInt(__ENV.PREALLOCATED_VUS, 10), maxVUs)
+    : Math.ceil(maxVUs / 2);
+
+  return { preAllocatedVUs, maxVUs };
+}
+
+// ramping-arrival-rate profile; stage targets are shares of the target rate
+function arrivalRate(profile, startShare, stages) {
+  const target = targetRate(profile);
+  const rate = (share) => Math.round(target * share);
+  const peakShare = Math.max(startShare, ...stages.map(([, share]) => share));
+  return {
+    executor: "ramping-arrival-rate",
+    startRate: rate(startShare),
+    timeUnit: "1s",
+    ...vuPool(profile, rate(peakShare)),
+    stages: stages.map(([duration, share]) => ({ duration, target: rate(share) })),
+  };
+}
+
+// constant-arrival-rate profile at the target rate
+function constantRate(profile, duration) {
+  const rate = Math.round(targetRate(profile));
+  return {
+    executor: "constant-arrival-rate",
+    rate,
+    timeUnit: "1s",
+    duration,
+    ...vuPool(profile, rate),
+  };
+}
+
+// Order rate over a weekday lunch from 11:00 to 14:00 in 15 minute steps,
+// as a share of the peak at 12:15-12:30
+const LUNCH_CURVE = [0.15, 0.25, 0.45, 0.7, 0.9, 1, 1, 0.85, 0.6, 0.4, 0.25, 0.15, 0.1];
+// Test time for each 15 minutes of the curve
+const LUNCH_STEP = __ENV.LUNCH_STEP || "2m";
+
+export const PROFILES = {
+  // Smoke test: basic functionality verification
+  smoke: {
+    executor: "constant-vus",
+    vus: 1,
+    duration: "1m",
+  },
+
+  // Load test with ramping VUs
+  load: {
+    executor: "ramping-vus",
+    startVUs: 0,
+    stages: [
+      { duration: "5m", target: 5000 }, // Ramp up to 5000 users
+      { duration: "10m", target: 5000 }, // Stay at 5000 users
+      { duration: "5m", target: 0 }, // Ramp down to 0
+    ],
+    gracefulRampDown: "30s",
+  },
+
+  // Stress test: 1/8 of TARGET_RATE, ramping to the full rate
+  stress: arrivalRate("stress", 0.125, [
+    ["2m", 0.125], // Keep steady at 1/8 of the target rate
+    ["5m", 0.625], // Ramp up to 5/8
+    ["2m", 0.625], // Stay at 5/8
+    ["2m", 1], // Peak at TARGET_RATE
+    ["3m", 0], // Ramp down to 0
+  ]),
+
+  // Spike test: sudden jump from a tenth of TARGET_RATE to the full rate and
+  // back, then time to recover at the base rate
+  spike: arrivalRate("spike", 0.1, [
+    ["1m", 0.1], // Base rate
+    ["10s", 1], // Spike
+    ["1m", 1], // Hold the spike
+    ["10s", 0.1], // Drop back
+    ["3m", 0.1], // Recovery at the base rate
+    ["30s", 0], // Ramp down to 0
+  ]),
+
+  // Breakpoint test: ramps linearly up to TARGET_RATE; the SLO thresholds
+  // abort the run once the system breaks (see lib/slo.js)
+  breakpoint: arrivalRate("breakpoint", 0, [[__ENV.BREAKPOINT_DURATION || "30m", 1]]),
+
+  // Lunch rush: the LUNCH_CURVE order rate compressed to LUNCH_STEP per 15 minutes
+  lunch_rush: arrivalRate("lunch_rush", LUNCH_CURVE[0], [
+    ...LUNCH_CURVE.slice(1).map((share) => [LUNCH_STEP, share]),
+    ["1m", 0], // Ramp down to 0
+  ]),
+
+  // Steady arrival rate at TARGET_RATE
+  steady: constantRate("steady", __ENV.STEADY_DURATION || "10m"),
+
+  // Soak test
+  soak: {
+    executor: "constant-vus",
+    vus: 3000,
+    duration: "2h",
+  },
+};
+
+// Order used by SCENARIO=all
+const SEQUENCE = ["smoke", "load", "stress", "soak"];
+
+// k6 waits this long for iterations to finish when a scenario ends
+const DEFAULT_GRACEFUL_STOP = "30s";
+
+const UNIT_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// Converts a k6 duration string ("90s", "1h30m", "500ms") to milliseconds
+export function parseDuration(value) {
+  if (typeof value === "number") return value;
+
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h)/g;
+  let total = 0;
+  let consumed = "";
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    total += parseFloat(match[1]) * UNIT_MS[match[2]];
+    consumed += match[0];
+  }
+
+  if (!consumed || consumed !== value) {
+    throw new Error(`Invalid duration: "${value}"`);
+  }
+  return total;
+}
+
+// Converts milliseconds back to a duration string k6 accepts
+export function formatDuration(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+
+  let result = "";
+  if (h) result += `${h}h`;
+  if (m) result += `${m}m`;
+  if (s || !result) result += `${s}s`;
+  return result;
+}
+
+// Worst-case wall clock time of a profile, including the graceful stop
+export function profileDuration(profile) {
+  const body = profile.stages
+    ? profile.stages.reduce((sum, stage) => sum + parseDuration(stage.duration), 0)
+    : parseDuration(profile.duration);
+
+  return body + parseDuration(profile.gracefulStop || DEFAULT_GRACEFUL_STOP);
+}
+
+// Builds options.scenarios for the selected profile.
+// `extra` is merged into every scenario (e.g. { exec: "customerJourney" }).
+export function buildScenarios(selection = __ENV.SCENARIO || "smoke", extra = {}) {
+  const name = selection.toLowerCase();
+  const names = name === "all" ? SEQUENCE : [name];
+
+  const unknown = names.filter((n) => !PROFILES[n]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown SCENARIO "${selection}". Use one of: ${[...Object.keys(PROFILES), "all"].join(", ")}`
+    );
+  }
+  const unreachable = names.find((n) => UNREACHABLE[n]);
+  if (unreachable) {
+    throw new Error(UNREACHABLE[unreachable]);
+  }
+
+  const scenarios = {};
+  let offset = 0;
+  names.forEach((profileName) => {
+    const profile = PROFILES[profileName];
+    scenarios[`${profileName}_test`] = {
+      ...profile,
+      ...extra,
+      ...(offset > 0 ? { startTime: formatDuration(offset) } : {}),
+      // k6 may replace `scenario` with the scenario key, `profile` is kept as is
+      tags: { ...(extra.tags || {}), scenario: profileName, profile: profileName },
+    };
+    offset += profileDuration(profile);
+  });
+
+  return scenarios;
+}
+
+// VU and rate settings of a profile that are split between personas
+const SHARED_KEYS = ["vus", "startVUs", "rate", "startRate", "preAllocatedVUs", "maxVUs"];
+
+// A persona's share of a load; anything above zero keeps at least one
+const share = (value, weight) => (value > 0 ? Math.max(1, Math.round(value * weight)) : 0);
+
+// The profile with `weight` (0-1) of its VUs and arrival rate
+export function weightedProfile(profile, weight) {
+  const weighted = { ...profile };
+  SHARED_KEYS.filter((key) => profile[key] !== undefined).forEach((key) => {
+    weighted[key] = share(profile[key], weight);
+  });
+  if (profile.stages) {
+    weighted.stages = profile.stages.map((stage) => ({ ...stage, target: share(stage.target, weight) }));
+  }
+  return weighted;
+}
+
+// Builds options.scenarios for several personas running side by side, e.g.
+// { customer: { exec: "customer", weight: 9 }, staff: { exec: "staff", weight: 1 } }.
+// Each persona gets its weight's share of the selected profile, in scenarios
+// keyed `<profile>_test_<persona>` and tagged with `persona`.
+export function buildPersonaScenarios(personas, selection = __ENV.SCENARIO || "smoke") {
+  const names = Object.keys(personas).filter((persona) => personas[persona].weight > 0);
+  if (names.length === 0) {
+    throw new Error("No persona has a weight above 0");
+  }
+  const total = names.reduce((sum, persona) => sum + personas[persona].weight, 0);
+
+  const scenarios = {};
+  Object.entries(buildScenarios(selection)).forEach(([key, scenario]) => {
+    names.forEach((persona) => {
+      const { exec, weight } = personas[persona];
+      scenarios[`${key}_${persona}`] = {
+        ...weightedProfile(scenario, weight / total),
+        exec,
+        tags: { ...scenario.tags, persona },
+      };
+    });
+  });
+  return scenarios;
+}
@@ -0,0 +1,211 @@
+import { check } from "k6";
+
+// Response contracts for the functional suites.
+// Schemas use a small JSON Schema subset: type (string or list of types),
+// required, properties, items, minItems, enum, pattern, plus `json` for
+// string fields that carry JSON-encoded content (like orderDetails).
+
+export const ORDER_STATUSES = [
+  "CREATED",
+  "SUBMITTED_TO_RESTAURANT",
+  "KITCHEN_PREPARING",
+  "READY_FOR_DELIVERY",
+];
+
+const id = { type: "string", pattern: "^\\S+$" };
+
+const orderItem = {
+  type: "object",
+  required: ["menuId", "name", "quantity", "price"],
+  properties: {
+    menuId: id,
+    menuImageURL: { type: "string" },
+    name: { type: "string" },
+    quantity: { type: "number" },
+    price: { type: "number" },
+  },
+};
+
+const orderDetails = {
+  type: "string",
+  json: { type: "array", minItems: 1, items: orderItem },
+};
+
+export const loginTokenSchema = {
+  title: "login token",
+  type: "object",
+  required: ["token"],
+  properties: {
+    token: { type: "string", pattern: "^[\\w-]+\\.[\\w-]+\\.[\\w-]*$" },
+  },
+};
+
+export const restaurantListSchema = {
+  title: "restaurant list",
+  type: "array",
+  minItems: 1,
+  items: {
+    type: "object",
+    required: ["_id", "name"],
+    properties: {
+      _id: id,
+      name: { type: "string" },
+    },
+  },
+};
+
+export const groupFoodOrderSchema = {
+  title: "group food order",
+  type: "object",
+  required: [
+    "id",
+    "groupFoodOrderId",
+    "restaurantId",
+    "userId",
+    "orderDetails",
+    "location",
+    "deliveryAddress",
+    "deliveryLatitude",
+    "deliveryLongitude",
+    "deliveryFee",
+  ],
+  properties: {
+    id,
+    groupFoodOrderId: id,
+    restaurantId: id,
+    userId: id,
+    createdTime: { type: ["string", "null"] },
+    orderDetails,
+    orderStatus: { type: "string", enum: ORDER_STATUSES },
+    location: { type: "string" },
+    deliveryAddress: { type: "string" },
+    deliveryLatitude: { type: "number" },
+    deliveryLongitude: { type: "number" },
+    deliveryFee: { type: "number" },
+  },
+};
+
+export const staffOrderListSchema = {
+  title: "staff order list",
+  type: "array",
+  items: {
+    type: "object",
+    required: ["groupFoodOrderId", "restaurantId", "orderStatus", "orderDetails"],
+    properties: {
+      id,
+      groupFoodOrderId: id,
+      restaurantId: id,
+      userId: id,
+      orderStatus: { type: "string", enum: ORDER_STATUSES },
+      orderDetails,
+    },
+  },
+};
+
+export const paymentStatusSchema = {
+  title: "payment status",
+  type: "object",
+  required: ["id", "paymentStatus", "orderStatus"],
+  properties: {
+    id,
+    paymentStatus: { type: "string", enum: ["PENDING", "PAID", "FAILED"] },
+    orderStatus: { type: "string", enum: ORDER_STATUSES },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function describeValue(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+// Returns the violations of `value` against `schema` as
+// [{ path, expected, actual }], empty when the value conforms
+export function validate(value, schema, path = "$") {
+  const types = [].concat(schema.type || []);
+  const actualType = typeOf(value);
+
+  if (types.length > 0 && types.indexOf(actualType) === -1) {
+    return [{ path, expected: types.join(" | "), actual: `${actualType} ${describeValue(value)}` }];
+  }
+
+  const violations = [];
+
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    violations.push({ path, expected: `one of ${schema.enum.join(", ")}`, actual: describeValue(value) });
+  }
+
+  if (schema.pattern && actualType === "string" && !new RegExp(schema.pattern).test(value)) {
+    violations.push({ path, expected: `match /${schema.pattern}/`, actual: describeValue(value) });
+  }
+
+  if (schema.json && actualType === "string") {
+    let decoded;
+    try {
+      decoded = JSON.parse(value);
+    } catch (error) {
+      return [{ path, expected: "JSON-encoded string", actual: describeValue(value) }];
+    }
+    violations.push(...validate(decoded, schema.json, `${path}<json>`));
+  }
+
+  if (actualType === "object") {
+    (schema.required || []).forEach((field) => {
+      if (!(field in value)) {
+        violations.push({ path: `${path}.${field}`, expected: "present", actual: "missing" });
+      }
+    });
+    Object.keys(schema.properties || {}).forEach((field) => {
+      if (field in value) {
+        violations.push(...validate(value[field], schema.properties[field], `${path}.${field}`));
+      }
+    });
+  }
+
+  if (actualType === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      violations.push({ path, expected: `at least ${schema.minItems} items`, actual: `${value.length} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        violations.push(...validate(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  return violations;
+}
+
+// Validates a response body and reports the result as named checks: one for
+// the whole contract and one failing check per violated field
+export function checkSchema(response, requestName, schema) {
+  let body;
+  let violations;
+  try {
+    body = response.json();
+    violations = validate(body, schema);
+  } catch (error) {
+    violations = [{ path: "$", expected: "JSON body", actual: describeValue(response.body) }];
+  }
+
+  const checks = {
+    [`${requestName} matches ${schema.title} schema`]: () => violations.length === 0,
+  };
+  violations.forEach((v) => {
+    checks[`${requestName} ${v.path}: expected ${v.expected}, got ${v.actual}`] = () => false;
+  });
+  check(body, checks);
+
+  if (violations.length > 0) {
+    console.error(
+      `${requestName} violates the ${schema.title} schema:\n` +
+        violations.map((v) => `  ${v.path}: expected ${v.expected}, got ${v.actual}`).join("\n")
+    );
+  }
+  return violations.length === 0;
+}
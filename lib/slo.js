@@ -0,0 +1,85 @@
+import { PROFILES } from "./scenarios.js";
+
+// Service level objectives per endpoint, turned into k6 thresholds.
+// Objectives come from config/slo.json (SLO_FILE to use another file) and are
+// keyed on the request `name` tags set by the API clients:
+//
+//   "createGroupOrder": { "p50": 200, "p95": 500, "p99": 1000, "errorBudget": 0.01 }
+//
+// Latency objectives are in milliseconds, the error budget is the share of
+// requests allowed to fail.
+
+const SLO_PATH = __ENV.SLO_FILE || "../config/slo.json";
+
+let slo;
+try {
+  slo = JSON.parse(open(SLO_PATH));
+} catch (error) {
+  throw new Error(`Cannot load SLO file "${SLO_PATH}": ${error}`);
+}
+
+const PERCENTILES = ["p50", "p95", "p99"];
+
+export function objective(name) {
+  const endpoint = slo.endpoints[name];
+  if (!endpoint) {
+    throw new Error(`No SLO for request name "${name}" in ${SLO_PATH}`);
+  }
+  return endpoint;
+}
+
+// Profiles whose thresholds abort the run, see sloThresholds()
+function abortingProfiles(selection, abort) {
+  if (!selection) return [];
+
+  const name = selection.toLowerCase();
+  const selected = name === "all" ? Object.keys(PROFILES) : [name];
+
+  if (__ENV.ABORT_ON_FAIL === "true") return selected;
+  if (__ENV.ABORT_ON_FAIL === "false") return [];
+  return selected.filter((profile) => abort.profiles.indexOf(profile) !== -1);
+}
+
+// Threshold expressions for one endpoint: { duration: [...], failed: [...] }
+function expressions(endpoint) {
+  return {
+    duration: PERCENTILES.filter((p) => endpoint[p] !== undefined).map(
+      (p) => `p(${p.slice(1)})<${endpoint[p]}`
+    ),
+    failed: endpoint.errorBudget !== undefined ? [`rate<${endpoint.errorBudget}`] : [],
+  };
+}
+
+// Builds tag-scoped thresholds for the request names a script sends, e.g.
+// http_req_duration{name:createGroupOrder} and http_req_failed{name:createGroupOrder}.
+//
+// Profiles listed under abortOnFail in the SLO file (stress by default) get
+// the same thresholds scoped to their profile tag with abortOnFail, so a run
+// stops once the system is clearly past its limits. ABORT_ON_FAIL=true/false
+// forces it on or off for the selected profiles. Scripts with their own
+// scenarios instead of a profile pass a null `selection`.
+export function sloThresholds(names, selection = __ENV.SCENARIO || "smoke") {
+  const abort = slo.abortOnFail || { profiles: [] };
+  const abortProfiles = abortingProfiles(selection, abort);
+
+  const thresholds = {};
+  names.forEach((name) => {
+    const { duration, failed } = expressions(objective(name));
+
+    if (duration.length > 0) thresholds[`http_req_duration{name:${name}}`] = duration;
+    if (failed.length > 0) thresholds[`http_req_failed{name:${name}}`] = failed;
+
+    abortProfiles.forEach((profile) => {
+      const aborting = (threshold) => ({
+        threshold,
+        abortOnFail: true,
+        delayAbortEval: abort.delayAbortEval || "1m",
+      });
+      const scope = `name:${name},profile:${profile}`;
+      if (duration.length > 0) thresholds[`http_req_duration{${scope}}`] = duration.map(aborting);
+      if (failed.length > 0) thresholds[`http_req_failed{${scope}}`] = failed.map(aborting);
+    });
+  });
+
+  return thresholds;
+}
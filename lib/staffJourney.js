@@ -0,0 +1,174 @@
+import { sleep, group } from "k6";
+import { Counter, Gauge, Trend } from "k6/metrics";
+import { config } from "./config.js";
+import { errors, json } from "./http.js";
+import * as restaurantApi from "./clients/restaurant.js";
+import * as groupOrdersApi from "./clients/groupOrders.js";
+import { staffPool, getSession, invalidateSession, sessionUserId } from "./userPool.js";
+import { createFlow } from "./resilience.js";
+import { withRetry } from "./retry.js";
+import { SUBMITTED, PREPARING, kitchenFor, createKitchen } from "./kitchen.js";
+import { think, scaled } from "./pacing.js";
+import { belongsToRun } from "./testData.js";
+
+// Restaurant staff persona: one look at the kitchen's orders per iteration,
+// handing over finished orders and accepting waiting ones (see lib/kitchen.js).
+// restaurant.js runs it on its own, mixed.js next to the customers.
+
+// Custom metrics
+const orderProcessed = new Counter("orders_processed");
+const processingTime = new Trend("order_processing_time");
+// Time per transition: accepting into the kitchen, marking ready for delivery
+const acceptTime = new Trend("order_accept_time", true);
+const readyTime = new Trend("order_ready_time", true);
+// Group orders waiting for staff, tagged with their status and kitchen
+const queueDepth = new Gauge("order_queue_depth");
+// Time a submitted order waited for room in the kitchen
+const orderWaitTime = new Trend("order_wait_time", true);
+// Share of the kitchen's maxConcurrent in preparation
+const kitchenUtilization = new Gauge("kitchen_utilization");
+// Waiting orders gained per minute since the VU's first poll
+const backlogGrowth = new Gauge("kitchen_backlog_growth");
+// Transitions another staff member of the kitchen made first
+const kitchenConflicts = new Counter("kitchen_conflicts");
+// Time from creating a group order to handing it over, for the run's orders
+const endToEndTime = new Trend("order_end_to_end_time", true);
+
+// Kitchen of the VU's staff member, created on its first poll
+let kitchen = null;
+// Waiting orders on the VU's first poll, the base for the backlog growth
+let backlogStart = null;
+
+// Moves a group order on. A 409 on the first attempt means another staff
+// member of the kitchen got there first; the result is then `taken`.
+function transition(name, send) {
+  const result = withRetry(name, (options) => send({ expectedStatus: [200, 409], ...options }));
+  const taken = result.ok && result.attempts === 1 && result.response.status === 409;
+  if (taken) {
+    kitchenConflicts.add(1, { name });
+  }
+  return { ...result, taken };
+}
+
+// Creation time (ms) of the group order's first item, as stamped by tagged()
+// on this machine's clock; null when the backend does not return it
+function createdAt(order) {
+  const times = order.items.map((item) => item.clientCreatedAt).filter((time) => typeof time === "number");
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+// One poll of the kitchen and the wait until the next. When `data.run` is
+// set, the run's orders handed over are timed end to end.
+export function staffIteration(data = {}) {
+  // A revoked token makes the next iteration log in again
+  const flow = createFlow("restaurant_staff", {
+    onUnauthorized: () => invalidateSession(staffPool),
+  });
+
+  group("Restaurant Staff Operations", () => {
+    // Each VU works as its own staff member from the pool
+    let session;
+    try {
+      session = getSession(staffPool);
+    } catch (error) {
+      flow.fail("login", "login_failed");
+      return;
+    }
+    // Logs in again and resends requests that come back 401
+    const token = session.auth;
+    const staffId = sessionUserId(session);
+    const restaurantId = session.account.restaurantId || config.restaurantId;
+    const tags = { type: "restaurant_staff" };
+    const kitchenTags = { ...tags, kitchen: restaurantId };
+
+    // The staff app loads the restaurants once, when the shift starts
+    if (!kitchen || kitchen.kitchen.restaurantId !== restaurantId) {
+      const restaurants = withRetry("getRestaurants", (options) =>
+        restaurantApi.getRestaurants(token, { tags, ...options })
+      );
+      if (!flow.step("getRestaurants", restaurants)) {
+        return;
+      }
+      kitchen = createKitchen(kitchenFor(restaurantId));
+      backlogStart = null;
+    }
+
+    const ordersResult = withRetry("getStaffOrders", (options) =>
+      groupOrdersApi.getOrdersForRestaurantStaff(token, staffId, restaurantId, { tags, ...options })
+    );
+    if (!flow.step("getStaffOrders", ordersResult)) {
+      return;
+    }
+
+    const orders = json(ordersResult.response);
+    if (!Array.isArray(orders)) {
+      console.error("Error processing orders: order list is not an array");
+      errors.add(1);
+      flow.fail("getStaffOrders", "invalid_body");
+      return;
+    }
+
+    const now = Date.now();
+    const plan = kitchen.plan(orders, now);
+    console.log(`Kitchen ${restaurantId}: ${plan.waiting.length} waiting, ${plan.preparing.length} preparing`);
+
+    queueDepth.add(plan.waiting.length, { ...kitchenTags, status: SUBMITTED });
+    queueDepth.add(plan.preparing.length, { ...kitchenTags, status: PREPARING });
+    kitchenUtilization.add(plan.preparing.length / kitchen.kitchen.maxConcurrent, kitchenTags);
+    if (!backlogStart) {
+      backlogStart = { at: now, waiting: plan.waiting.length };
+    } else {
+      const minutes = (now - backlogStart.at) / 60000;
+      backlogGrowth.add((plan.waiting.length - backlogStart.waiting) / minutes, kitchenTags);
+    }
+
+    // Hand over the orders that are done, making room in the kitchen
+    plan.ready.forEach((order) => {
+      const startTime = new Date();
+
+      const ready = transition("readyForDelivery", (options) =>
+        groupOrdersApi.readyForDelivery(token, order.groupFoodOrderId, { tags, ...options })
+      );
+      if (!flow.step("readyForDelivery", ready)) {
+        return;
+      }
+      kitchen.finished(order);
+      if (!ready.taken) {
+        orderProcessed.add(1);
+        processingTime.add(new Date() - startTime);
+        readyTime.add(new Date() - startTime);
+        // Orders of earlier runs would stretch the latency by their age
+        const created = data.run && belongsToRun(order.items[0], data.run) ? createdAt(order) : null;
+        if (created !== null) {
+          endToEndTime.add(Date.now() - created, kitchenTags);
+        }
+        think("handleOrder");
+      }
+    });
+
+    // Accept waiting orders, oldest first, while the kitchen has room
+    plan.accept.forEach((order) => {
+      const startTime = new Date();
+
+      const preparing = transition("kitchenPreparing", (options) =>
+        groupOrdersApi.kitchenPreparing(token, order.groupFoodOrderId, { tags, ...options })
+      );
+      if (!flow.step("kitchenPreparing", preparing) || preparing.taken) {
+        return;
+      }
+      orderProcessed.add(1);
+      processingTime.add(new Date() - startTime);
+      acceptTime.add(new Date() - startTime);
+      orderWaitTime.add(kitchen.started(order), kitchenTags);
+      think("handleOrder");
+    });
+  });
+  flow.done();
+
+  // Without a kitchen (login or restaurant list failed) try again shortly
+  if (kitchen) {
+    sleep(scaled(kitchen.kitchen.pollInterval));
+  } else {
+    think("staffRetry");
+  }
+}
@@ -0,0 +1,382 @@
+import { textSummary } from "https://jslib.k6.io/k6-summary/0.0.2/index.js";
+import { buildJUnit } from "./junit.js";
+import { leftoverReport } from "./testData.js";
+
+// End-of-test report shared by the scripts' handleSummary().
+// Writes a self-contained HTML report and a machine-readable JSON summary to
+// REPORT_DIR (reports/), broken down by endpoint (`name` tag), scenario,
+// persona and group, and compares the run against a baseline summary when
+// BASELINE is set.
+
+const REPORT_DIR = __ENV.REPORT_DIR || "reports";
+// Change in percent that counts as a regression against the baseline
+const REGRESSION_THRESHOLD = parseFloat(__ENV.REGRESSION_THRESHOLD || "10");
+
+// A previous run's <name>-summary.json; relative paths resolve from lib/
+let baseline = null;
+if (__ENV.BASELINE) {
+  try {
+    baseline = JSON.parse(open(__ENV.BASELINE));
+  } catch (error) {
+    throw new Error(`Cannot load baseline "${__ENV.BASELINE}": ${error}`);
+  }
+}
+
+// Trend statistics kept in the summary, set as options.summaryTrendStats
+export const SUMMARY_TREND_STATS = ["avg", "min", "med", "max", "p(90)", "p(95)", "p(99)"];
+
+// Metrics where a higher value is an improvement; every other metric is
+// compared as lower-is-better
+const HIGHER_IS_BETTER = [
+  "checks",
+  "functional_checks",
+  "flow_completed",
+  "retry_success_rate",
+  "group_order_join_success",
+  "http_reqs",
+  "iterations",
+  "orders_processed",
+  "restaurants_listed",
+  "orders_attempted",
+  "orders_created",
+  "payments_attempted",
+  "payments_confirmed",
+  "order_conversion",
+  "payment_conversion",
+  "journey_conversion",
+  "group_orders_created",
+  "group_orders_submitted",
+];
+
+// Always-passing thresholds that only make k6 keep a submetric for the report
+const BREAKDOWN = {
+  http_req_duration: "max>=0",
+  http_req_failed: "rate>=0",
+  iterations: "count>=0",
+};
+
+// Tags the report breaks the load down by
+const BREAKDOWN_TAGS = ["scenario", "persona"];
+
+// Thresholds that add a per-scenario breakdown to the report, or a breakdown
+// by another of the BREAKDOWN_TAGS for the keys of `values`:
+//
+//   thresholds: { ...sloThresholds([...]), ...breakdownThresholds(scenarios) }
+//   thresholds: { ...breakdownThresholds(personas, "persona") }
+export function breakdownThresholds(values, tag = "scenario") {
+  const thresholds = {};
+  Object.keys(values).forEach((value) => {
+    Object.keys(BREAKDOWN).forEach((metric) => {
+      thresholds[`${metric}{${tag}:${value}}`] = [BREAKDOWN[metric]];
+    });
+  });
+  return thresholds;
+}
+
+const isBreakdownKey = (key) => BREAKDOWN_TAGS.some((tag) => key.indexOf(`{${tag}:`) !== -1);
+
+const isBreakdown = (metric, expression) =>
+  BREAKDOWN[metric.split("{")[0]] === expression && isBreakdownKey(metric);
+
+// Submetrics of `metric` scoped on `tag`, by tag value
+function submetrics(metrics, metric, tag) {
+  const prefix = `${metric}{${tag}:`;
+  const result = {};
+  Object.keys(metrics)
+    .filter((key) => key.indexOf(prefix) === 0 && key.indexOf(",") === -1)
+    .forEach((key) => {
+      result[key.slice(prefix.length, -1)] = metrics[key].values;
+    });
+  return result;
+}
+
+// Duration and failure statistics per value of `tag`
+function breakdown(metrics, tag) {
+  const durations = submetrics(metrics, "http_req_duration", tag);
+  const failed = submetrics(metrics, "http_req_failed", tag);
+  const iterations = submetrics(metrics, "iterations", tag);
+
+  const result = {};
+  Object.keys({ ...durations, ...failed }).sort().forEach((value) => {
+    result[value] = {
+      duration: durations[value] || null,
+      failedRate: failed[value] ? failed[value].rate : null,
+      iterations: iterations[value] ? iterations[value].count : null,
+    };
+  });
+  return result;
+}
+
+function collectGroups(group, groups = []) {
+  const checks = group.checks.map((c) => ({ name: c.name, passes: c.passes, fails: c.fails }));
+  if (group.path || checks.length > 0) {
+    groups.push({
+      path: group.path || "(root)",
+      passes: checks.reduce((sum, c) => sum + c.passes, 0),
+      fails: checks.reduce((sum, c) => sum + c.fails, 0),
+      checks,
+    });
+  }
+  group.groups.forEach((child) => collectGroups(child, groups));
+  return groups;
+}
+
+function collectThresholds(metrics) {
+  const thresholds = [];
+  Object.keys(metrics).forEach((metric) => {
+    Object.entries(metrics[metric].thresholds || {}).forEach(([expression, result]) => {
+      if (!isBreakdown(metric, expression)) {
+        thresholds.push({ metric, threshold: expression, ok: result.ok });
+      }
+    });
+  });
+  return thresholds;
+}
+
+// The value a metric is compared by
+function representative(metric) {
+  switch (metric.type) {
+    case "trend":
+      return { stat: "p(95)", value: metric.values["p(95)"] };
+    case "rate":
+      return { stat: "rate", value: metric.values.rate };
+    case "counter":
+      return { stat: "rate/s", value: metric.values.rate };
+    default:
+      return { stat: "value", value: metric.values.value };
+  }
+}
+
+// Changes against the baseline, worst first; breakdown submetrics are left out
+export function compareToBaseline(report, base) {
+  return Object.keys(report.metrics)
+    .filter((key) => base.metrics[key] && !isBreakdownKey(key))
+    .map((key) => {
+      const current = representative(report.metrics[key]);
+      const previous = representative(base.metrics[key]);
+      const higherIsBetter = HIGHER_IS_BETTER.indexOf(key.split("{")[0]) !== -1;
+
+      let change = 0;
+      if (previous.value !== 0) {
+        change = ((current.value - previous.value) / Math.abs(previous.value)) * 100;
+      } else if (current.value !== 0) {
+        change = current.value > 0 ? Infinity : -Infinity;
+      }
+      const worse = higherIsBetter ? -change : change;
+
+      return {
+        metric: key,
+        stat: current.stat,
+        baseline: previous.value,
+        current: current.value,
+        changePercent: change,
+        regression: worse > REGRESSION_THRESHOLD,
+      };
+    })
+    .sort((a, b) => Number(b.regression) - Number(a.regression) || Math.abs(b.changePercent) - Math.abs(a.changePercent));
+}
+
+export function buildReport(name, data) {
+  const metrics = {};
+  Object.keys(data.metrics).forEach((key) => {
+    metrics[key] = { type: data.metrics[key].type, values: data.metrics[key].values };
+  });
+
+  const report = {
+    name,
+    generatedAt: new Date().toISOString(),
+    durationMs: data.state.testRunDurationMs,
+    thresholds: collectThresholds(data.metrics),
+    endpoints: breakdown(data.metrics, "name"),
+    scenarios: breakdown(data.metrics, "scenario"),
+    personas: breakdown(data.metrics, "persona"),
+    groups: collectGroups(data.root_group),
+    metrics,
+  };
+
+  if (baseline) {
+    report.baseline = {
+      generatedAt: baseline.generatedAt,
+      regressionThreshold: REGRESSION_THRESHOLD,
+      comparison: compareToBaseline(report, baseline),
+    };
+  }
+  return report;
+}
+
+// HTML report
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+function format(value, unit = "") {
+  if (value === null || value === undefined) return "-";
+  if (!isFinite(value)) return value > 0 ? "new" : "gone";
+  return `${Math.round(value * 100) / 100}${unit}`;
+}
+
+const percent = (rate) => (rate === null || rate === undefined ? "-" : format(rate * 100, "%"));
+
+function table(headers, rows) {
+  if (rows.length === 0) return "<p>No data.</p>";
+  return `<table><thead><tr>${headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead>
+<tbody>${rows.map((row) => `<tr class="${row.className || ""}">${row.cells.map((c) => `<td>${c}</td>`).join("")}</tr>`).join("\n")}</tbody></table>`;
+}
+
+function breakdownTable(label, entries) {
+  return table(
+    [label, "avg", "p(90)", "p(95)", "p(99)", "max", "failed", "iterations"],
+    Object.entries(entries).map(([key, e]) => ({
+      cells: [
+        escapeHtml(key),
+        ...["avg", "p(90)", "p(95)", "p(99)", "max"].map((s) => format(e.duration && e.duration[s], " ms")),
+        percent(e.failedRate),
+        format(e.iterations),
+      ],
+    }))
+  );
+}
+
+function metricCells(metric) {
+  const v = metric.values;
+  switch (metric.type) {
+    case "trend":
+      return `avg=${format(v.avg)} p(95)=${format(v["p(95)"])} p(99)=${format(v["p(99)"])} max=${format(v.max)}`;
+    case "rate":
+      return `${percent(v.rate)} (${v.passes} / ${v.passes + v.fails})`;
+    case "counter":
+      return `${format(v.count)} (${format(v.rate)}/s)`;
+    default:
+      return `${format(v.value)}`;
+  }
+}
+
+const BUILTIN = /^(http_|iteration|vus|data_|checks|group_duration)/;
+
+export function renderHtml(report) {
+  const failedThresholds = report.thresholds.filter((t) => !t.ok).length;
+  const custom = Object.keys(report.metrics)
+    .filter((key) => !BUILTIN.test(key) && key.indexOf("{") === -1)
+    .sort();
+
+  const sections = [
+    `<h2>Thresholds</h2>
+${table(
+  ["metric", "threshold", "result"],
+  report.thresholds.map((t) => ({
+    className: t.ok ? "" : "bad",
+    cells: [escapeHtml(t.metric), escapeHtml(t.threshold), t.ok ? "pass" : "FAIL"],
+  }))
+)}`,
+    `<h2>Endpoints</h2>\n${breakdownTable("name", report.endpoints)}`,
+    `<h2>Scenarios</h2>\n${breakdownTable("scenario", report.scenarios)}`,
+    // Only mixed runs tag a persona
+    ...(Object.keys(report.personas || {}).length > 0
+      ? [`<h2>Personas</h2>\n${breakdownTable("persona", report.personas)}`]
+      : []),
+    `<h2>Groups</h2>
+${table(
+  ["group", "checks passed", "checks failed", "failing checks"],
+  report.groups.map((g) => ({
+    className: g.fails > 0 ? "bad" : "",
+    cells: [
+      escapeHtml(g.path),
+      g.passes,
+      g.fails,
+      escapeHtml(g.checks.filter((c) => c.fails > 0).map((c) => c.name).join(", ")),
+    ],
+  }))
+)}`,
+    `<h2>Custom Metrics</h2>
+${table(
+  ["metric", "type", "values"],
+  custom.map((key) => ({
+    cells: [escapeHtml(key), report.metrics[key].type, escapeHtml(metricCells(report.metrics[key]))],
+  }))
+)}`,
+  ];
+
+  if (report.baseline) {
+    const regressions = report.baseline.comparison.filter((c) => c.regression).length;
+    sections.push(`<h2>Baseline Comparison</h2>
+<p>Against the run of ${escapeHtml(report.baseline.generatedAt)}: ${regressions} regression(s) above ${report.baseline.regressionThreshold}%.</p>
+${table(
+  ["metric", "stat", "baseline", "current", "change"],
+  report.baseline.comparison.map((c) => ({
+    className: c.regression ? "bad" : "",
+    cells: [escapeHtml(c.metric), c.stat, format(c.baseline), format(c.current), format(c.changePercent, "%")],
+  }))
+)}`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.name)} - k6 report</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 1.5em; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+  th { background: #f0f0f0; }
+  tr.bad td { background: #fde2e2; }
+  .summary { font-size: 1.1em; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.name)}</h1>
+<p class="summary">Run at ${escapeHtml(report.generatedAt)}, ${format(report.durationMs / 1000, " s")}.
+${failedThresholds === 0 ? "All thresholds passed." : `<strong>${failedThresholds} threshold(s) failed.</strong>`}</p>
+${sections.join("\n")}
+</body>
+</html>
+`;
+}
+
+// Returns a handleSummary() writing the reports for the script `name`:
+//
+//   export const handleSummary = createSummaryHandler("customer");
+//
+// options.junit  also write <name>-junit.xml, for the functional suites
+//
+// Scripts whose setup data has a test data `run` (lib/testData.js) also get
+// <name>-leftovers.json: the run's records still in the backend.
+export function createSummaryHandler(name, options = {}) {
+  return function (data) {
+    const report = buildReport(name, data);
+
+    let text = textSummary(data, { indent: " ", enableColors: true });
+    if (report.baseline) {
+      const regressions = report.baseline.comparison.filter((c) => c.regression);
+      text += `\n\nBaseline comparison: ${regressions.length} regression(s) above ${REGRESSION_THRESHOLD}%\n`;
+      regressions.forEach((c) => {
+        text += `  ${c.metric} ${c.stat}: ${format(c.baseline)} -> ${format(c.current)} (${format(c.changePercent, "%")})\n`;
+      });
+    }
+
+    const run = data.setup_data && data.setup_data.run;
+    const leftovers = run ? leftoverReport(run) : null;
+    if (leftovers) {
+      text += leftovers.records === null
+        ? `\n\nTest data left by run ${run.runId}: unknown, ${leftovers.reason}\n`
+        : `\n\nTest data left by run ${run.runId}: ${leftovers.records.length} record(s)\n`;
+    }
+
+    const output = {
+      stdout: text + "\n",
+      [`${REPORT_DIR}/${name}-report.html`]: renderHtml(report),
+      [`${REPORT_DIR}/${name}-summary.json`]: JSON.stringify(report, null, 2),
+    };
+    if (options.junit) {
+      output[`${REPORT_DIR}/${name}-junit.xml`] = buildJUnit(name, data);
+    }
+    if (leftovers) {
+      output[`${REPORT_DIR}/${name}-leftovers.json`] = JSON.stringify(leftovers, null, 2);
+    }
+    return output;
+  };
+}
@@ -0,0 +1,78 @@
+import { check, group } from "k6";
+import { describe } from 'https://jslib.k6.io/k6chaijs/4.3.4.3/index.js';
+import { takeFailedRequests } from "./http.js";
+import { SKIP_NOTE, REQUEST_NOTE } from "./junit.js";
+
+// Test context for the functional suites.
+// Carries state from one describe block to the next and skips tests whose
+// prerequisites did not pass, instead of letting them throw on missing data.
+//
+//   const ctx = createTestContext();
+//   ctx.test("Create order", (state) => { state.order = ... });
+//   ctx.test("Pay order", { dependsOn: ["Create order"] }, (state) => { ... state.order.id ... });
+//   ctx.skip("Refund order", "refunds are not enabled");
+
+export const PASSED = "passed";
+export const FAILED = "failed";
+export const SKIPPED = "skipped";
+
+// Response bodies kept in a failed request note
+const MAX_BODY_LENGTH = 1000;
+
+export function createTestContext() {
+  const state = {};
+  const results = {};
+
+  // A passing check keeps a note visible without counting as a failure
+  function note(name, text) {
+    group(name, () => {
+      check(null, { [`${name} ${text}`]: () => true });
+    });
+  }
+
+  function skip(name, reason) {
+    console.warn(`${name}: ${reason}`);
+    results[name] = SKIPPED;
+    note(name, reason);
+  }
+
+  // Records the requests that failed during a failed test
+  function noteFailedRequests(name) {
+    takeFailedRequests().forEach(({ label, status, duration, body }) => {
+      const text = String(body || "").slice(0, MAX_BODY_LENGTH);
+      note(name, `${REQUEST_NOTE} ${label} returned ${status} in ${Math.round(duration)}ms: ${text}`);
+    });
+  }
+
+  return {
+    state,
+    results,
+
+    // Marks a test skipped for a reason of its own, e.g. missing test data
+    skip(name, reason) {
+      skip(name, `${SKIP_NOTE} ${reason}`);
+    },
+
+    test(name, options, fn) {
+      if (typeof options === "function") {
+        fn = options;
+        options = {};
+      }
+
+      const blocker = (options.dependsOn || []).find((dependency) => results[dependency] !== PASSED);
+      if (blocker) {
+        const outcome = results[blocker] || "did not run";
+        skip(name, `${SKIP_NOTE} "${blocker}" ${outcome === SKIPPED ? "was skipped" : outcome}`);
+        return false;
+      }
+
+      takeFailedRequests();
+      const passed = describe(name, () => fn(state));
+      results[name] = passed ? PASSED : FAILED;
+      if (!passed) {
+        noteFailedRequests(name);
+      }
+      return passed;
+    },
+  };
+}
@@ -0,0 +1,173 @@
+import { check } from "k6";
+import { Counter } from "k6/metrics";
+import { config } from "./config.js";
+import { json } from "./http.js";
+import * as groupOrdersApi from "./clients/groupOrders.js";
+import * as ordersApi from "./clients/orders.js";
+import { login } from "./userPool.js";
+import { deliveryLocations } from "./orderGenerator.js";
+import { PAID_STATUS } from "./payments.js";
+
+// Test data scoped to one run, instead of a blanket DELETE /cleanup.
+// setup() starts a run, every order the run creates carries its runId, and
+// teardown() deletes exactly the run's group orders and payments through the
+// APIs. The run's records are found again by listing the order items of every
+// delivery location; an item belongs to the run when
+//
+//   - it carries the run's runId, or
+//   - its id was registered with recordCreated() in setup().
+//
+// VUs share no memory with teardown(), so what they create is only found by
+// its runId. When the backend returns no runId and setup() registered
+// nothing, or the orders cannot be listed, what the run left is unknown:
+// cleanup is skipped and its check fails. Anything else is never touched.
+//
+// CLEANUP_DRY_RUN=true only lists what would be deleted. handleSummary()
+// lists what is left and writes it to <name>-leftovers.json, which
+// tools/purge_test_data.js deletes later.
+
+export const DRY_RUN = __ENV.CLEANUP_DRY_RUN === "true";
+
+// Custom metrics
+export const testDataCreated = new Counter("test_data_created");
+
+// Call from setup() and return it as `run` in the setup data, which tags the
+// run's orders and tells teardown() what to delete.
+// RUN_ID names the run, e.g. after a CI job; the default is unique per run.
+export function startRun(name) {
+  const runId = __ENV.RUN_ID || `${name}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  console.log(`Test run ${runId}`);
+  return { runId, startedAt: Date.now(), created: [] };
+}
+
+// Order payload carrying the run's id and the time (ms, this machine's clock)
+// it was built, which order_end_to_end_time starts from
+export function tagged(run, payload) {
+  return { ...payload, runId: run.runId, clientCreatedAt: Date.now() };
+}
+
+// Counts a record the run created: "groupFoodOrder", "order" or "payment".
+// In setup(), pass the order item `id` and the `run` to register it for
+// teardown() as well; the run must be returned after the call.
+export function recordCreated(type, id, run) {
+  testDataCreated.add(1, { type });
+  if (run && id !== undefined && id !== null && run.created.indexOf(id) === -1) {
+    run.created.push(id);
+  }
+}
+
+// Whether an order item was created by the run
+export function belongsToRun(item, run) {
+  return item.runId === run.runId || (run.created || []).indexOf(item.id) !== -1;
+}
+
+// The run's records, group orders last: { type, id, groupFoodOrderId, location }
+//   "payment"         a paid order item, deleted with its order
+//   "order"           the run's item in a group order shared with others
+//   "groupFoodOrder"  a group order whose items all belong to the run
+// Returns { records, reason }; records is null, with the reason, when what
+// the run left cannot be known.
+export function findRunRecords(token, run) {
+  const records = [];
+  const groups = [];
+  let listedAny = false;
+  let runIds = false;
+
+  for (const location of deliveryLocations()) {
+    const listed = groupOrdersApi.listGroupOrdersByLocation(token, location, {
+      tags: { type: "cleanup" },
+    });
+    if (!listed.ok) {
+      return { records: null, reason: `cannot list the orders of ${location}: ${listed.response.status}` };
+    }
+
+    const byGroup = {};
+    json(listed.response, []).forEach((item) => {
+      listedAny = true;
+      runIds = runIds || (item.runId !== undefined && item.runId !== null);
+      (byGroup[item.groupFoodOrderId] = byGroup[item.groupFoodOrderId] || []).push(item);
+    });
+
+    Object.keys(byGroup).forEach((groupFoodOrderId) => {
+      const items = byGroup[groupFoodOrderId];
+      const own = items.filter((item) => belongsToRun(item, run));
+      const record = (type, id) => ({ type, id, groupFoodOrderId, location });
+
+      if (own.length === 0) return;
+      if (own.length < items.length) {
+        // Someone else's items stay
+        own.forEach((item) => records.push(record("order", item.id)));
+        return;
+      }
+      own
+        .filter((item) => item.paymentStatus === PAID_STATUS)
+        .forEach((item) => records.push(record("payment", item.id)));
+      groups.push(record("groupFoodOrder", groupFoodOrderId));
+    });
+  }
+
+  if (listedAny && !runIds && (run.created || []).length === 0) {
+    return {
+      records: null,
+      reason: "the backend returns no runId and the run registered no ids, so its test data cannot be told apart",
+    };
+  }
+  return { records: records.concat(groups), reason: null };
+}
+
+// Deletes the records, returns those that could not be deleted
+export function deleteRecords(token, records) {
+  const tags = { type: "cleanup" };
+  return records.filter((record) => {
+    const result = record.type === "groupFoodOrder"
+      ? groupOrdersApi.deleteGroupOrder(token, record.id, { tags })
+      : ordersApi.deleteOrder(token, record.id, { tags });
+    return !result.ok;
+  });
+}
+
+const cleanupToken = () => login(config.customer);
+
+// For teardown(): deletes the run's records, or lists them in a dry run
+export function cleanupRun(run) {
+  if (!run) {
+    console.error("No test run to clean up");
+    return null;
+  }
+
+  const token = cleanupToken();
+  const { records, reason } = findRunRecords(token, run);
+  if (records === null) {
+    console.error(`Skipping cleanup of run ${run.runId}: ${reason}`);
+    check(reason, { "Test data of the run deleted": () => false });
+    return { found: null, failed: [], reason };
+  }
+  if (DRY_RUN) {
+    console.log(`Dry run: ${records.length} record(s) of run ${run.runId} would be deleted`);
+    return { found: records.length, failed: [] };
+  }
+
+  const failed = deleteRecords(token, records);
+  console.log(`Deleted ${records.length - failed.length} of ${records.length} record(s) of run ${run.runId}`);
+  check(failed, { "Test data of the run deleted": (f) => f.length === 0 });
+  return { found: records.length, failed };
+}
+
+// teardown() for scripts whose setup data has a `run`:
+//
+//   export { teardown } from "./lib/testData.js";
+export function teardown(data) {
+  cleanupRun(data && data.run);
+}
+
+// For handleSummary(): what the run left behind, for a manual purge.
+// records is null, with the reason, when it cannot be known.
+export function leftoverReport(run) {
+  let found;
+  try {
+    found = findRunRecords(cleanupToken(), run);
+  } catch (e) {
+    found = { records: null, reason: String(e) };
+  }
+  return { ...run, dryRun: DRY_RUN, reason: found.reason, records: found.records };
+}
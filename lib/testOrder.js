@@ -0,0 +1,35 @@
+import { config } from "./config.js";
+import * as ordersApi from "./clients/orders.js";
+import { orderTotal } from "./orderGenerator.js";
+import { buildPayment } from "./payments.js";
+import { tagged } from "./testData.js";
+
+// The order the functional suites place: the profile's customer orders from
+// the profile's restaurant, delivered to Outram Park.
+
+// One of each of the profile's menu items
+export const TEST_ORDER_DETAILS = config.menu.map((item) => ({ ...item, quantity: 1 }));
+
+// Group order payload of the run with `orderDetails` (TEST_ORDER_DETAILS by
+// default); `overrides` replace any other field
+export function testOrderPayload(run, { orderDetails = TEST_ORDER_DETAILS, ...overrides } = {}) {
+  return tagged(run, {
+    id: null,
+    groupFoodOrderId: null,
+    restaurantId: config.restaurantId,
+    userId: config.customer.userId,
+    createdTime: null,
+    orderDetails: JSON.stringify(orderDetails),
+    location: "South",
+    deliveryAddress: "01-01  Outram Park, Cantonment Road, People's Park, Outram, Central, Singapore, 088875, Singapore",
+    deliveryLatitude: 1.280799664912132,
+    deliveryLongitude: 103.83968353271486,
+    deliveryFee: 5,
+    ...overrides,
+  });
+}
+
+// Pays for a created test order of TEST_ORDER_DETAILS with PayNow
+export function payTestOrder(token, order) {
+  return ordersApi.updatePayment(token, buildPayment(order.id, orderTotal(TEST_ORDER_DETAILS), "payNow"));
+}
@@ -0,0 +1,161 @@
+import { SharedArray } from "k6/data";
+import encoding from "k6/encoding";
+import papaparse from "https://jslib.k6.io/papaparse/5.1.1/index.js";
+import * as userApi from "./clients/user.js";
+
+// Per-VU account pools for the load scripts.
+// Accounts are read once from a CSV (with header row) or JSON array file and
+// shared between VUs. Each VU gets its own account, logs in on first use and
+// logs in again when its token is about to expire.
+
+// Re-login this long before the token's exp claim
+const EXPIRY_SKEW_MS = 30 * 1000;
+
+// Used when the token carries no exp claim
+const DEFAULT_TOKEN_TTL_MS = parseInt(__ENV.TOKEN_TTL || "3600", 10) * 1000;
+
+// TOKEN_RENEWAL=on401 keeps a token until the backend rejects it, instead of
+// logging in again before its exp claim; it exercises the 401 refresh path
+const RENEW_BEFORE_EXPIRY = (__ENV.TOKEN_RENEWAL || "expiry") !== "on401";
+
+function parseAccounts(content, path) {
+  const accounts = path.endsWith(".json")
+    ? JSON.parse(content)
+    : papaparse.parse(content, { header: true, skipEmptyLines: true }).data;
+
+  if (!accounts.length) {
+    throw new Error(`User pool "${path}" has no accounts`);
+  }
+  accounts.forEach((account, index) => {
+    if (!account.email || !account.password) {
+      throw new Error(`User pool "${path}" entry ${index + 1} needs email and password`);
+    }
+  });
+  return accounts;
+}
+
+// Must be called from the init context. `paths` is one file or a
+// comma-separated list of files whose accounts are joined; relative paths
+// resolve from lib/.
+export function loadUserPool(name, paths) {
+  return {
+    name,
+    accounts: new SharedArray(name, () =>
+      paths
+        .split(",")
+        .map((path) => path.trim())
+        .reduce((accounts, path) => accounts.concat(parseAccounts(open(path), path)), [])
+    ),
+  };
+}
+
+export const customerPool = loadUserPool(
+  "customers",
+  __ENV.CUSTOMER_POOL || "../data/customers.csv"
+);
+
+export const staffPool = loadUserPool(
+  "staff",
+  __ENV.STAFF_POOL || "../data/staff.csv"
+);
+
+// Deals the pool's accounts out to disjoint pools, one after the other, so
+// VUs of different roles never share an account. Must be called from the
+// init context; a pool gets no accounts when there are fewer than `names`.
+export function splitPool(pool, names) {
+  const pools = {};
+  names.forEach((role, index) => {
+    const name = `${pool.name}-${role}`;
+    pools[role] = {
+      name,
+      accounts: new SharedArray(name, () => {
+        const accounts = [];
+        for (let i = index; i < pool.accounts.length; i += names.length) {
+          accounts.push(pool.accounts[i]);
+        }
+        return accounts;
+      }),
+    };
+  });
+  return pools;
+}
+
+// Reads the payload of a JWT without verifying it
+export function decodeToken(token) {
+  try {
+    const payload = token.split(".")[1];
+    return JSON.parse(encoding.b64decode(payload, "rawurl", "s"));
+  } catch (error) {
+    return {};
+  }
+}
+
+function tokenExpiry(token) {
+  const claims = decodeToken(token);
+  return claims.exp ? claims.exp * 1000 : Date.now() + DEFAULT_TOKEN_TTL_MS;
+}
+
+export function login(account) {
+  const { ok, response } = userApi.login(account.email, account.password);
+  const token = ok ? response.json("token") : null;
+  if (!token) {
+    throw new Error(`Login failed for ${account.email}: ${response.status}`);
+  }
+  return token;
+}
+
+// Sessions of the current VU, keyed by pool name
+const sessions = {};
+
+// Returns the calling VU's session for the pool, logging in when needed.
+// VUs are spread round-robin, so pools smaller than the VU count share accounts.
+export function getSession(pool) {
+  const key = pool.name;
+  let session = sessions[key];
+
+  if (!session) {
+    const { accounts } = pool;
+    // __VU is 0 in setup() and teardown()
+    const account = accounts[(__VU - 1 + accounts.length) % accounts.length];
+    session = sessions[key] = createSession(account);
+  }
+
+  const expiring = RENEW_BEFORE_EXPIRY && Date.now() >= session.expiresAt - EXPIRY_SKEW_MS;
+  if (!session.token || expiring) {
+    renew(session);
+  }
+
+  return session;
+}
+
+function renew(session) {
+  session.token = login(session.account);
+  session.expiresAt = tokenExpiry(session.token);
+  session.claims = decodeToken(session.token);
+  return session.token;
+}
+
+// A session's `auth` can be passed to the API clients instead of its token:
+// lib/http.js logs in again and resends a request that comes back 401
+export function createSession(account) {
+  const session = { account, claims: {}, token: null, expiresAt: 0 };
+  session.auth = {
+    get token() {
+      return session.token;
+    },
+    refresh: () => renew(session),
+  };
+  return session;
+}
+
+// Drops the cached token so the next getSession() logs in again
+export function invalidateSession(pool) {
+  if (sessions[pool.name]) {
+    sessions[pool.name].token = null;
+  }
+}
+
+// userId from the pool file, falling back to the token's claims
+export function sessionUserId(session) {
+  return session.account.userId || session.claims.userId || session.claims.sub;
+}
@@ -0,0 +1,94 @@
+import { buildPersonaScenarios } from "./lib/scenarios.js";
+import { sloThresholds } from "./lib/slo.js";
+import { SUMMARY_TREND_STATS, breakdownThresholds, createSummaryHandler } from "./lib/summary.js";
+import { customerIteration } from "./lib/customerJourney.js";
+import { staffIteration } from "./lib/staffJourney.js";
+import { staffPool } from "./lib/userPool.js";
+import { startRun } from "./lib/testData.js";
+
+// Mixed workload: customers order and pay while restaurant staff work the
+// kitchens, in one run against the same backend. The selected profile is
+// split between the personas by PERSONA_MIX; customers submit their paid
+// orders to a restaurant with staff in the pool, and the staff time each of
+// the run's orders from its creation until it is ready for delivery.
+
+// Parses "customer:9,staff:1" into { customer: 9, staff: 1 }
+function parsePersonaMix(mix = __ENV.PERSONA_MIX || "customer:9,staff:1") {
+  const weights = { customer: 0, staff: 0 };
+  mix.split(",").forEach((entry) => {
+    const [persona, weight] = entry.split(":").map((part) => part.trim());
+    if (weights[persona] === undefined) {
+      throw new Error(`Unknown persona "${persona}" in PERSONA_MIX. Use customer and staff`);
+    }
+    weights[persona] = parseFloat(weight || "1");
+  });
+  return weights;
+}
+
+const PERSONA_MIX = parsePersonaMix();
+
+// Personas with a share of the load; each runs the function of its name below
+const PERSONAS = {};
+Object.keys(PERSONA_MIX)
+  .filter((persona) => PERSONA_MIX[persona] > 0)
+  .forEach((persona) => {
+    PERSONAS[persona] = { exec: persona, weight: PERSONA_MIX[persona] };
+  });
+
+const scenarios = buildPersonaScenarios(PERSONAS);
+
+// Restaurants some staff member of the pool works for
+const staffedRestaurants = [];
+for (const account of staffPool.accounts) {
+  if (account.restaurantId) staffedRestaurants.push(account.restaurantId);
+}
+
+export const options = {
+  scenarios,
+  summaryTrendStats: SUMMARY_TREND_STATS,
+
+  thresholds: {
+    // Latency and error budget per endpoint, from config/slo.json
+    ...sloThresholds([
+      "login",
+      "getRestaurants",
+      "createGroupOrder",
+      "listGroupOrders",
+      "updatePayment",
+      "getOrder",
+      "submitToRestaurant",
+      "getStaffOrders",
+      "kitchenPreparing",
+      "readyForDelivery",
+      "deleteGroupOrder",
+      "deleteOrder",
+    ]),
+    errors: ["rate<0.05"], // Less than 5% custom error rate
+    // Keeps per-scenario and per-persona results for the report
+    ...breakdownThresholds(scenarios),
+    ...breakdownThresholds(PERSONAS, "persona"),
+  },
+};
+
+export function setup() {
+  return {
+    run: startRun("mixed"),
+  };
+}
+
+export function customer(data) {
+  customerIteration(data, {
+    submit: true,
+    // Orders elsewhere would never be prepared
+    restaurants: (restaurant) => staffedRestaurants.indexOf(restaurant._id || restaurant.id) !== -1,
+  });
+}
+
+export function staff(data) {
+  staffIteration(data);
+}
+
+export { teardown } from "./lib/testData.js";
+
+// HTML and JSON report in REPORT_DIR, compared against BASELINE when set
+export const handleSummary = createSummaryHandler("mixed");
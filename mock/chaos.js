@@ -0,0 +1,115 @@
+const fs = require("fs");
+const path = require("path");
+
+// Fault injection for the mock server and the chaos proxy.
+// A chaos profile is a JSON file with a list of rules:
+//
+//   { "routes": ["updatePayment"], "fault": "error", "rate": 0.2, "status": 503 }
+//
+// routes    route names the rule applies to, using the clients' `name` tags (all routes when omitted)
+// fault     latency  delay the request by `ms` before handling it
+//           slow     handle the request but hold the response back for `ms`
+//           error    answer with `status` (503) without handling the request
+//           burst    answer with `status` (503) for `duration` seconds out of every `every` seconds
+//           reset    destroy the connection without answering
+//           token    answer 401 as if the bearer token had been revoked
+// rate      share of matching requests the fault hits (1); not used by burst
+
+const FAULTS = ["latency", "slow", "error", "burst", "reset", "token"];
+
+function loadChaosProfile(file) {
+  const profile = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+
+  (profile.rules || []).forEach((rule, i) => {
+    if (FAULTS.indexOf(rule.fault) === -1) {
+      throw new Error(`Chaos rule ${i}: unknown fault "${rule.fault}", expected one of ${FAULTS.join(", ")}`);
+    }
+    if (rule.fault === "burst" && !(rule.every > 0 && rule.duration > 0)) {
+      throw new Error(`Chaos rule ${i}: burst needs "every" and "duration" in seconds`);
+    }
+  });
+  return profile;
+}
+
+function createChaos(profile, startedAt = Date.now()) {
+  const rules = (profile && profile.rules) || [];
+  // Injected faults per "fault route" pair, logged on demand
+  const injected = {};
+
+  const triggered = (rule) => {
+    if (rule.fault === "burst") {
+      const elapsed = (Date.now() - startedAt) / 1000;
+      return elapsed % rule.every < rule.duration;
+    }
+    return Math.random() < (rule.rate === undefined ? 1 : rule.rate);
+  };
+
+  return {
+    enabled: rules.length > 0,
+    injected,
+
+    // Rules hitting this request of `routeName`
+    pick(routeName) {
+      const hits = rules.filter(
+        (rule) => (!rule.routes || rule.routes.indexOf(routeName) !== -1) && triggered(rule)
+      );
+      hits.forEach((rule) => {
+        const key = `${rule.fault} ${routeName || "unknown"}`;
+        injected[key] = (injected[key] || 0) + 1;
+      });
+      return hits;
+    },
+  };
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Applies the faults that act before the request is handled.
+// Returns true when a fault already answered (or dropped) the request.
+async function applyFaults(faults, req, res) {
+  for (const fault of faults) {
+    switch (fault.fault) {
+      case "latency":
+        await delay(fault.ms || 0);
+        break;
+      case "reset":
+        req.socket.destroy();
+        return true;
+      case "error":
+      case "burst":
+        res.writeHead(fault.status || 503, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: `Injected ${fault.fault}` }));
+        return true;
+      case "token":
+        res.writeHead(401, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: "Token revoked" }));
+        return true;
+    }
+  }
+  return false;
+}
+
+// How long to hold back the response of a handled request
+function responseDelay(faults) {
+  return faults
+    .filter((fault) => fault.fault === "slow")
+    .reduce((ms, fault) => ms + (fault.ms || 0), 0);
+}
+
+// Reads the profile named by CHAOS_FILE, if any
+function chaosFromEnv(env = process.env) {
+  const profile = env.CHAOS_FILE ? loadChaosProfile(env.CHAOS_FILE) : null;
+  const chaos = createChaos(profile);
+
+  if (chaos.enabled) {
+    console.log(`Chaos profile ${env.CHAOS_FILE}: ${profile.rules.length} rule(s)`);
+    // Report what was injected when the process is stopped
+    process.once("SIGINT", () => {
+      console.log("Injected faults:", chaos.injected);
+      process.exit(0);
+    });
+  }
+  return chaos;
+}
+
+module.exports = { FAULTS, loadChaosProfile, createChaos, applyFaults, responseDelay, chaosFromEnv, delay };
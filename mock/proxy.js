@@ -0,0 +1,53 @@
+const http = require("http");
+const { createRoutes, matchRoute } = require("./server");
+const { chaosFromEnv, applyFaults, responseDelay, delay } = require("./chaos");
+
+// Chaos proxy: forwards every request to a real (or mock) gateway and
+// injects the faults of a chaos profile on the way. Point BASE_URL at it.
+//
+//   CHAOS_FILE=mock/chaos/payment-outage.json node mock/proxy.js
+//   k6 run -e BASE_URL=http://localhost:8766 customer.js
+//
+// CHAOS_PORT    port to listen on (8766)
+// CHAOS_TARGET  gateway to forward to (http://localhost:8765)
+// CHAOS_FILE    chaos profile, see mock/chaos.js
+
+const PORT = parseInt(process.env.CHAOS_PORT || "8766", 10);
+const TARGET = new URL(process.env.CHAOS_TARGET || "http://localhost:8765");
+
+// Only the route names and patterns are used, the handlers never run
+const routes = createRoutes(null, {});
+const chaos = chaosFromEnv();
+
+const server = http.createServer(async (req, res) => {
+  const matched = matchRoute(routes, req.method, new URL(req.url, "http://proxy").pathname);
+  const faults = chaos.pick(matched ? matched.route.name : null);
+  if (await applyFaults(faults, req, res)) return;
+
+  const upstream = http.request(
+    {
+      hostname: TARGET.hostname,
+      port: TARGET.port,
+      path: req.url,
+      method: req.method,
+      headers: { ...req.headers, host: TARGET.host },
+    },
+    async (upstreamRes) => {
+      const holdBack = responseDelay(faults);
+      if (holdBack > 0) await delay(holdBack);
+
+      res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+      upstreamRes.pipe(res);
+    }
+  );
+
+  upstream.on("error", (error) => {
+    res.writeHead(502, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: `Upstream unavailable: ${error.message}` }));
+  });
+  req.pipe(upstream);
+});
+
+server.listen(PORT, () => {
+  console.log(`Chaos proxy listening on http://localhost:${PORT}, forwarding to ${TARGET.origin}`);
+});
@@ -0,0 +1,443 @@
+const crypto = require("crypto");
+const http = require("http");
+const { createStore, ORDER_STATUS } = require("./store");
+const { createChaos, chaosFromEnv, applyFaults, responseDelay, delay } = require("./chaos");
+
+// Mock of the food ordering API gateway, for running the k6 scripts without
+// the microservice stack. Keeps all state in memory.
+//
+//   node mock/server.js
+//
+// MOCK_PORT         port to listen on (8765)
+// MOCK_LATENCY_MS   added latency per request, fixed ("50") or a range ("20-200")
+// MOCK_ERROR_RATE   share of requests answered with 500 (0)
+// MOCK_ERROR_ROUTES comma-separated route names the error rate applies to (all)
+// MOCK_TOKEN_TTL    token lifetime in seconds (3600)
+// MOCK_IDEMPOTENCY  "on" to replay the first response for a repeated Idempotency-Key
+// MOCK_REQUIRE_PAYMENT "off" to submit group orders with unpaid items too (on)
+// CHAOS_FILE        chaos profile to inject faults from, see mock/chaos.js
+
+const TOKEN_SECRET = "mock-secret";
+
+function readOptions(env = process.env) {
+  const [minLatency, maxLatency = minLatency] = (env.MOCK_LATENCY_MS || "0").split("-").map(Number);
+
+  return {
+    port: parseInt(env.MOCK_PORT || "8765", 10),
+    minLatency,
+    maxLatency,
+    errorRate: parseFloat(env.MOCK_ERROR_RATE || "0"),
+    errorRoutes: env.MOCK_ERROR_ROUTES ? env.MOCK_ERROR_ROUTES.split(",").map((r) => r.trim()) : null,
+    tokenTtl: parseInt(env.MOCK_TOKEN_TTL || "3600", 10),
+    idempotency: env.MOCK_IDEMPOTENCY === "on",
+    requirePayment: env.MOCK_REQUIRE_PAYMENT !== "off",
+  };
+}
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+function signToken(claims) {
+  const unsigned = `${base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }))}.${base64url(JSON.stringify(claims))}`;
+  const signature = crypto.createHmac("sha256", TOKEN_SECRET).update(unsigned).digest("base64url");
+  return `${unsigned}.${signature}`;
+}
+
+// Returns the token's claims, or null when it is malformed, forged or expired
+function verifyToken(token) {
+  const parts = (token || "").split(".");
+  if (parts.length !== 3) return null;
+
+  const expected = crypto.createHmac("sha256", TOKEN_SECRET).update(`${parts[0]}.${parts[1]}`).digest("base64url");
+  if (expected !== parts[2]) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(parts[1], "base64url").toString());
+    return claims.exp * 1000 > Date.now() ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const fail = (status, message) => {
+  throw new HttpError(status, message);
+};
+
+function luhnValid(number) {
+  let sum = 0;
+  [...number].reverse().forEach((digit, i) => {
+    let value = parseInt(digit, 10);
+    if (i % 2 === 1) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  });
+  return sum % 10 === 0;
+}
+
+function expiryValid(expiryDate) {
+  const match = /^(0[1-9]|1[0-2])\/(\d{2})$/.exec(expiryDate || "");
+  if (!match) return false;
+
+  // Cards are valid until the end of their expiry month
+  const endOfMonth = new Date(2000 + parseInt(match[2], 10), parseInt(match[1], 10), 1);
+  return endOfMonth > new Date();
+}
+
+const SG_MOBILE = /^[89]\d{7}$/;
+
+function itemTotal(item) {
+  const details = JSON.parse(item.orderDetails);
+  return Math.round(details.reduce((sum, d) => sum + d.price * d.quantity, 0) * 100) / 100;
+}
+
+function validatePayment(payment, item) {
+  switch (payment.paymentType) {
+    case "creditCard":
+      if (!/^\d{13,19}$/.test(payment.creditCardNumber || "") || !luhnValid(payment.creditCardNumber)) {
+        fail(400, "Invalid credit card number");
+      }
+      if (!expiryValid(payment.expiryDate)) fail(400, "Invalid or expired expiry date");
+      if (!/^\d{3,4}$/.test(payment.cvv || "")) fail(400, "Invalid CVV");
+      break;
+    case "payNow":
+      if (!SG_MOBILE.test(payment.payNowMobileNumber || "")) fail(400, "Invalid PayNow mobile number");
+      break;
+    case "payLah":
+      if (!SG_MOBILE.test(payment.payLahMobileNumber || "")) fail(400, "Invalid PayLah mobile number");
+      break;
+    default:
+      fail(400, `Unknown payment type ${payment.paymentType}`);
+  }
+
+  if (Math.abs(payment.totalPrice - itemTotal(item)) > 0.001) {
+    fail(400, "Total does not match the order");
+  }
+}
+
+function validateOrderPayload(payload, store) {
+  if (!payload || !store.findRestaurant(payload.restaurantId)) fail(400, "Unknown restaurantId");
+  if (!payload.userId) fail(400, "userId is required");
+
+  let details;
+  try {
+    details = JSON.parse(payload.orderDetails);
+  } catch (error) {
+    fail(400, "orderDetails must be a JSON-encoded array");
+  }
+  if (!Array.isArray(details) || details.length === 0) fail(400, "orderDetails must not be empty");
+}
+
+// Staff only see and handle the orders of their own restaurant
+function requireOwnRestaurant(claims, restaurantId) {
+  if (claims.role === "RESTAURANT_STAFF" && claims.restaurantId !== restaurantId) {
+    fail(403, "Order belongs to another restaurant");
+  }
+}
+
+// Moves a group order from one status to the next, 409 when it is elsewhere
+function transition(store, claims, groupFoodOrderId, from, to) {
+  const items = store.itemsOf(groupFoodOrderId);
+  if (items.length === 0) fail(404, "Group food order not found");
+  requireOwnRestaurant(claims, items[0].restaurantId);
+  if (items[0].orderStatus !== from) {
+    fail(409, `Group food order is ${items[0].orderStatus}, expected ${from}`);
+  }
+  store.setGroupStatus(groupFoodOrderId, to);
+  return { groupFoodOrderId, orderStatus: to };
+}
+
+// Roles allowed on a route; routes without `roles` take any valid token
+const CUSTOMER_ONLY = ["CUSTOMER"];
+const STAFF_ONLY = ["RESTAURANT_STAFF"];
+
+function createRoutes(store, options) {
+  return [
+    {
+      name: "login",
+      method: "POST",
+      pattern: /^\/user\/login$/,
+      public: true,
+      handler: ({ body }) => {
+        const account = store.findAccount(body && body.email);
+        if (!account || account.password !== body.password) fail(401, "Invalid email or password");
+
+        const now = Math.floor(Date.now() / 1000);
+        return {
+          token: signToken({
+            sub: account.userId,
+            userId: account.userId,
+            email: account.email,
+            role: account.role,
+            restaurantId: account.restaurantId || null,
+            iat: now,
+            exp: now + options.tokenTtl,
+          }),
+        };
+      },
+    },
+    {
+      name: "register",
+      method: "POST",
+      pattern: /^\/user\/register$/,
+      public: true,
+      handler: ({ body }) => {
+        if (!body || !body.email || !body.password) fail(400, "email and password are required");
+        if (store.findAccount(body.email)) fail(409, "Account already exists");
+
+        const account = store.addAccount({
+          email: body.email,
+          password: body.password,
+          role: body.role || "CUSTOMER",
+          restaurantId: body.restaurantId || "",
+        });
+        return { userId: account.userId, email: account.email };
+      },
+    },
+    {
+      name: "getRestaurants",
+      method: "GET",
+      pattern: /^\/restaurant-service\/restaurants\/all$/,
+      handler: () => store.restaurants,
+    },
+    {
+      name: "createGroupOrder",
+      roles: CUSTOMER_ONLY,
+      method: "POST",
+      pattern: /^\/groupFoodOrdersAPI\/groupFoodOrder$/,
+      handler: ({ body }) => {
+        validateOrderPayload(body, store);
+
+        // A groupFoodOrderId in the payload joins an existing group order
+        if (body.groupFoodOrderId) {
+          const items = store.itemsOf(body.groupFoodOrderId);
+          if (items.length === 0) fail(404, "Group food order not found");
+          if (items[0].orderStatus !== ORDER_STATUS.CREATED) fail(409, "Group food order is closed");
+        }
+        return store.addOrderItem(body, body.groupFoodOrderId);
+      },
+    },
+    {
+      name: "listGroupOrders",
+      roles: CUSTOMER_ONLY,
+      method: "GET",
+      pattern: /^\/groupFoodOrdersAPI\/getGroupFoodOrdersByLocation$/,
+      handler: ({ query }) =>
+        [...store.orders.values()].filter((item) => item.location === query.get("location")),
+    },
+    {
+      name: "submitToRestaurant",
+      roles: CUSTOMER_ONLY,
+      method: "PUT",
+      pattern: /^\/groupFoodOrdersAPI\/submitToRestaurant\/([^/]+)$/,
+      handler: ({ params, claims }) => {
+        const unpaid = store.itemsOf(params[0]).filter((item) => item.paymentStatus !== "PAID");
+        if (options.requirePayment && unpaid.length > 0) {
+          fail(409, `Group food order has ${unpaid.length} unpaid item(s)`);
+        }
+        return transition(store, claims, params[0], ORDER_STATUS.CREATED, ORDER_STATUS.SUBMITTED);
+      },
+    },
+    {
+      name: "getStaffOrders",
+      roles: STAFF_ONLY,
+      method: "GET",
+      pattern: /^\/groupFoodOrdersAPI\/getOrdersForRestaurantStaff$/,
+      handler: ({ query, claims }) => {
+        if (query.get("userId") !== claims.userId) fail(403, "userId does not match the token");
+        requireOwnRestaurant(claims, query.get("restaurantId"));
+        return [...store.orders.values()].filter(
+          (item) =>
+            item.restaurantId === query.get("restaurantId") &&
+            item.orderStatus !== ORDER_STATUS.CREATED
+        );
+      },
+    },
+    {
+      name: "kitchenPreparing",
+      roles: STAFF_ONLY,
+      method: "PUT",
+      pattern: /^\/groupFoodOrdersAPI\/kitchenPreparing\/([^/]+)$/,
+      handler: ({ params, claims }) =>
+        transition(store, claims, params[0], ORDER_STATUS.SUBMITTED, ORDER_STATUS.PREPARING),
+    },
+    {
+      name: "readyForDelivery",
+      roles: STAFF_ONLY,
+      method: "PUT",
+      pattern: /^\/groupFoodOrdersAPI\/readyForDelivery\/([^/]+)$/,
+      handler: ({ params, claims }) =>
+        transition(store, claims, params[0], ORDER_STATUS.PREPARING, ORDER_STATUS.READY),
+    },
+    {
+      name: "updatePayment",
+      roles: CUSTOMER_ONLY,
+      method: "PUT",
+      pattern: /^\/order-service\/UpdatePaymentStatusAPI\/updatePayment$/,
+      handler: ({ body }) => {
+        const item = store.orders.get(body && body.orderItemId);
+        if (!item) fail(404, "Order not found");
+        if (item.paymentStatus === "PAID") fail(409, "Order is already paid");
+
+        validatePayment(body, item);
+        item.paymentStatus = "PAID";
+        item.paymentType = body.paymentType;
+        item.isGetPromo = !!body.isGetPromo;
+        return { id: item.id, paymentStatus: item.paymentStatus };
+      },
+    },
+    {
+      name: "getOrder",
+      method: "GET",
+      pattern: /^\/order-service\/orders\/([^/]+)$/,
+      handler: ({ params, claims }) => {
+        const item = store.orders.get(params[0]) || fail(404, "Order not found");
+        requireOwnRestaurant(claims, item.restaurantId);
+        return item;
+      },
+    },
+    {
+      name: "deleteGroupOrder",
+      roles: CUSTOMER_ONLY,
+      method: "DELETE",
+      pattern: /^\/groupFoodOrdersAPI\/groupFoodOrder\/([^/]+)$/,
+      handler: ({ params }) => {
+        const removed = store.deleteGroup(params[0]);
+        if (removed === 0) fail(404, "Group food order not found");
+        return { groupFoodOrderId: params[0], removed };
+      },
+    },
+    {
+      name: "deleteOrder",
+      roles: CUSTOMER_ONLY,
+      method: "DELETE",
+      pattern: /^\/order-service\/orders\/([^/]+)$/,
+      handler: ({ params }) => {
+        if (!store.orders.delete(params[0])) fail(404, "Order not found");
+        return { id: params[0] };
+      },
+    },
+    {
+      name: "cleanup",
+      method: "DELETE",
+      pattern: /^\/cleanup$/,
+      handler: () => {
+        const removed = store.orders.size;
+        store.clear();
+        return { removed };
+      },
+    },
+  ];
+}
+
+function matchRoute(routes, method, pathname) {
+  for (const route of routes) {
+    const match = route.pattern.exec(pathname);
+    if (match && route.method === method) {
+      return { route, params: match.slice(1).map(decodeURIComponent) };
+    }
+  }
+  return null;
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = "";
+    req.on("data", (chunk) => {
+      data += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : null);
+      } catch (error) {
+        resolve(undefined);
+      }
+    });
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Runs a route handler, turning an HttpError into its status
+function handle(route, request) {
+  try {
+    return { status: 200, result: route.handler(request) };
+  } catch (error) {
+    if (error instanceof HttpError) return { status: error.status, result: { error: error.message } };
+    console.error(error);
+    return { status: 500, result: { error: "Internal error" } };
+  }
+}
+
+function createMockServer(options = readOptions(), chaos = createChaos(null)) {
+  const store = createStore();
+  const routes = createRoutes(store, options);
+  // First response per "route Idempotency-Key", when options.idempotency is on
+  const replies = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://mock");
+    const matched = matchRoute(routes, req.method, url.pathname);
+    const body = await readBody(req);
+
+    const latency = options.minLatency + Math.random() * (options.maxLatency - options.minLatency);
+    if (latency > 0) await delay(latency);
+
+    if (!matched) return send(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+    const { route, params } = matched;
+
+    const faults = chaos.pick(route.name);
+    if (await applyFaults(faults, req, res)) return;
+
+    const injectError =
+      options.errorRate > 0 &&
+      (!options.errorRoutes || options.errorRoutes.includes(route.name)) &&
+      Math.random() < options.errorRate;
+    if (injectError) return send(res, 500, { error: "Injected error" });
+
+    if (body === undefined) return send(res, 400, { error: "Malformed JSON body" });
+
+    const header = req.headers.authorization || "";
+    const claims = header.startsWith("Bearer ") ? verifyToken(header.slice(7)) : null;
+    if (!route.public && !claims) return send(res, 401, { error: "Missing or invalid token" });
+    if (route.roles && !route.roles.includes(claims.role)) {
+      return send(res, 403, { error: `${route.name} is not allowed for ${claims.role}` });
+    }
+
+    const key = req.headers["idempotency-key"];
+    const replyKey = options.idempotency && key && route.method !== "GET" ? `${route.name} ${key}` : null;
+
+    let reply = replyKey && replies.get(replyKey);
+    if (!reply) {
+      reply = handle(route, { body, params, query: url.searchParams, claims });
+      if (replyKey) replies.set(replyKey, reply);
+    }
+
+    // A slow response has already changed the state when the client gives up on it
+    const holdBack = responseDelay(faults);
+    if (holdBack > 0) await delay(holdBack);
+    send(res, reply.status, reply.result);
+  });
+
+  return { server, store, routes };
+}
+
+module.exports = { createMockServer, createRoutes, matchRoute, readOptions, signToken, verifyToken };
+
+if (require.main === module) {
+  const options = readOptions();
+  const { server } = createMockServer(options, chaosFromEnv());
+  server.listen(options.port, () => {
+    console.log(`Mock food ordering API listening on http://localhost:${options.port}`);
+  });
+}
@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// In-memory state of the mock backend: accounts, restaurants and orders.
+// Accounts come from the user pool files, restaurants from the local environment profile plus mock/fixtures.json.
+
+const ROOT = path.resolve(__dirname, "..");
+
+const ORDER_STATUS = {
+  CREATED: "CREATED",
+  SUBMITTED: "SUBMITTED_TO_RESTAURANT",
+  PREPARING: "KITCHEN_PREPARING",
+  READY: "READY_FOR_DELIVERY",
+};
+
+function readCsv(file) {
+  const [header, ...rows] = fs
+    .readFileSync(file, "utf8")
+    .split(/\r?\n/)
+    .filter((line) => line.trim());
+  const columns = header.split(",");
+
+  return rows.map((row) => {
+    const values = row.split(",");
+    return columns.reduce((account, column, i) => ({ ...account, [column]: values[i] || "" }), {});
+  });
+}
+
+function loadAccounts() {
+  const customers = readCsv(path.join(ROOT, "data/customers.csv")).map((a) => ({ ...a, role: "CUSTOMER" }));
+  const staff = readCsv(path.join(ROOT, "data/staff.csv")).map((a) => ({ ...a, role: "RESTAURANT_STAFF" }));
+
+  return [...customers, ...staff].map((account) => ({
+    ...account,
+    userId: account.userId || crypto.randomUUID(),
+  }));
+}
+
+function loadRestaurants() {
+  const profile = require("../config/environments/local.json");
+  const fixtures = require("./fixtures.json");
+
+  return [
+    { _id: profile.restaurantId, name: "Dumpling House", menu: profile.menu },
+    ...fixtures.restaurants,
+  ];
+}
+
+function createStore() {
+  const accounts = loadAccounts();
+  const restaurants = loadRestaurants();
+  // Order items keyed by id; a group food order is every item sharing a groupFoodOrderId
+  const orders = new Map();
+
+  const itemsOf = (groupFoodOrderId) =>
+    [...orders.values()].filter((item) => item.groupFoodOrderId === groupFoodOrderId);
+
+  return {
+    ORDER_STATUS,
+    accounts,
+    restaurants,
+    orders,
+    itemsOf,
+
+    findAccount: (email) => accounts.find((account) => account.email === email),
+
+    addAccount(account) {
+      const created = { ...account, userId: crypto.randomUUID() };
+      accounts.push(created);
+      return created;
+    },
+
+    findRestaurant: (restaurantId) => restaurants.find((r) => r._id === restaurantId),
+
+    addOrderItem(payload, groupFoodOrderId) {
+      const item = {
+        ...payload,
+        id: crypto.randomUUID(),
+        groupFoodOrderId: groupFoodOrderId || crypto.randomUUID(),
+        createdTime: new Date().toISOString(),
+        orderStatus: ORDER_STATUS.CREATED,
+        paymentStatus: "PENDING",
+      };
+      orders.set(item.id, item);
+      return item;
+    },
+
+    // Moves every item of a group order to `status`
+    setGroupStatus(groupFoodOrderId, status) {
+      itemsOf(groupFoodOrderId).forEach((item) => {
+        item.orderStatus = status;
+      });
+    },
+
+    // Removes every item of a group order, returns how many there were
+    deleteGroup(groupFoodOrderId) {
+      const items = itemsOf(groupFoodOrderId);
+      items.forEach((item) => orders.delete(item.id));
+      return items.length;
+    },
+
+    clear: () => orders.clear(),
+  };
+}
+
+module.exports = { createStore, ORDER_STATUS };
@@ -0,0 +1,47 @@
+import { config } from "../lib/config.js";
+import { login } from "../lib/userPool.js";
+import { DRY_RUN, deleteRecords } from "../lib/testData.js";
+
+// Deletes the test data a run left behind, listed in the <name>-leftovers.json
+// its summary wrote (see lib/testData.js). Relative paths resolve from tools/:
+//
+//   k6 run -e LEFTOVERS=../reports/customer-leftovers.json tools/purge_test_data.js
+//
+// CLEANUP_DRY_RUN=true only prints what would be deleted.
+
+if (!__ENV.LEFTOVERS) {
+  throw new Error("Set LEFTOVERS to a <name>-leftovers.json file");
+}
+
+let leftovers;
+try {
+  leftovers = JSON.parse(open(__ENV.LEFTOVERS));
+} catch (error) {
+  throw new Error(`Cannot load leftovers "${__ENV.LEFTOVERS}": ${error}`);
+}
+
+export const options = {
+  scenarios: {
+    purge: {
+      executor: "shared-iterations",
+      vus: 1,
+      iterations: 1,
+    },
+  },
+};
+
+export default function () {
+  const { runId, records, reason } = leftovers;
+  if (records === null || records === undefined) {
+    // The run's summary could not tell its records apart
+    throw new Error(`The test data left by run ${runId} is unknown: ${reason}`);
+  }
+  if (DRY_RUN) {
+    records.forEach((record) => console.log(`Would delete ${record.type} ${record.id} (${record.location})`));
+    return;
+  }
+
+  const failed = deleteRecords(login(config.customer), records);
+  console.log(`Purged ${records.length - failed.length} of ${records.length} record(s) of run ${runId}`);
+  failed.forEach((record) => console.error(`Could not delete ${record.type} ${record.id} (${record.location})`));
+}
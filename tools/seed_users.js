@@ -0,0 +1,98 @@
+import { json } from "../lib/http.js";
+import * as userApi from "../lib/clients/user.js";
+import { customerPool, staffPool, login, decodeToken } from "../lib/userPool.js";
+
+// Seeds the user pools before a load run.
+// Registers every account in data/customers.csv and data/staff.csv, plus
+// SEED_CUSTOMERS generated customers, then rewrites both pool files with the
+// userIds the backend assigned. Run from the repository root:
+//
+//   k6 run -e SEED_CUSTOMERS=200 tools/seed_users.js
+
+const SEED_CUSTOMERS = parseInt(__ENV.SEED_CUSTOMERS || "0", 10);
+const SEED_PREFIX = __ENV.SEED_PREFIX || "loadcus";
+const OUTPUT_DIR = __ENV.SEED_OUTPUT_DIR || "data";
+
+export const options = {
+  scenarios: {
+    seed: {
+      executor: "shared-iterations",
+      vus: 1,
+      iterations: 1,
+    },
+  },
+  setupTimeout: "30m",
+};
+
+function register(account, role) {
+  // An account that already exists is fine, it only needs to log in
+  const { response } = userApi.register(account, role, { expectedStatus: [200, 201, 400, 409] });
+
+  if (response.status === 200 || response.status === 201) {
+    const body = json(response, {});
+    return body.userId || body.id || null;
+  }
+  return null;
+}
+
+function seed(account, role) {
+  const registeredId = register(account, role);
+
+  try {
+    const claims = decodeToken(login(account));
+    return {
+      ...account,
+      // The backend's id wins; the pool file's may be left from another backend
+      userId: registeredId || claims.userId || claims.sub || account.userId || "",
+    };
+  } catch (error) {
+    console.error(`Skipping ${account.email}: ${error.message}`);
+    return null;
+  }
+}
+
+function toCsv(accounts, columns) {
+  const rows = accounts.map((account) =>
+    columns.map((column) => account[column] || "").join(",")
+  );
+  return [columns.join(","), ...rows].join("\n") + "\n";
+}
+
+export function setup() {
+  const customers = Array.from(customerPool.accounts);
+  const known = customers.map((account) => account.email);
+
+  for (let i = 1; i <= SEED_CUSTOMERS; i++) {
+    const name = `${SEED_PREFIX}${String(i).padStart(4, "0")}`;
+    const email = `${name}@mail.com`;
+    if (known.indexOf(email) === -1) {
+      customers.push({ email, password: name });
+    }
+  }
+
+  return {
+    customers: customers.map((account) => seed(account, "CUSTOMER")).filter((a) => a),
+    staff: Array.from(staffPool.accounts)
+      .map((account) => seed(account, "RESTAURANT_STAFF"))
+      .filter((a) => a),
+  };
+}
+
+export default function () {
+  // All work happens in setup() so handleSummary() can write the result
+}
+
+export function handleSummary(data) {
+  const seeded = data.setup_data || { customers: [], staff: [] };
+  console.log(`Seeded ${seeded.customers.length} customers and ${seeded.staff.length} staff`);
+
+  // Never replace a pool file with an empty one
+  const output = {};
+  if (seeded.customers.length > 0) {
+    output[`${OUTPUT_DIR}/customers.csv`] = toCsv(seeded.customers, ["email", "password", "userId"]);
+  }
+  if (seeded.staff.length > 0) {
+    output[`${OUTPUT_DIR}/staff.csv`] = toCsv(seeded.staff, ["email", "password", "userId", "restaurantId"]);
+  }
+  return output;
+}